@@ -0,0 +1,14 @@
+#!/usr/bin/env node
+const { run, UsageError } = require("../lib/cli");
+
+// Progress goes to stderr, so `generate` output on stdout can be piped or redirected
+console.log = console.error;
+
+run(process.argv.slice(2)).catch(error => {
+    if (error instanceof UsageError) {
+        console.error(`${error.message}\nRun "awl-roundup --help" for usage.`);
+    } else {
+        console.error(error);
+    }
+    process.exit(1);
+});
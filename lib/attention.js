@@ -0,0 +1,131 @@
+// "Needs attention": open work that is stuck, as a triage list for maintainers.
+// Unlike the rest of the report this looks at everything open, not just what moved this period.
+
+const { fetchItems } = require("./github");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daysBetween = (from, to) => Math.floor((new Date(to) - new Date(from)) / DAY_MS);
+
+const login = (actor) => (actor ? actor.login : null);
+
+const toEntry = (item, since, asOf) => ({
+    number: item.number,
+    title: item.title,
+    url: item.url,
+    repository: item.repository.nameWithOwner,
+    author: item.author ? { login: item.author.login, url: item.author.url } : null,
+    since,
+    days: daysBetween(since, asOf),
+});
+
+// Reviews by anyone but the PR author (replies in review threads show up as the author's own reviews)
+const reviewsByOthers = (pr) => pr.reviews.nodes.filter(r => login(r.author) && login(r.author) !== login(pr.author));
+
+// The latest review of each reviewer that asked for changes and still stands
+const outstandingChangeRequest = (pr) => {
+    const latest = new Map();
+    for (const review of reviewsByOthers(pr)) {
+        // COMMENTED reviews don't withdraw an earlier verdict
+        if (review.state !== "CHANGES_REQUESTED" && review.state !== "APPROVED" && review.state !== "DISMISSED") continue;
+        const previous = latest.get(login(review.author));
+        if (!previous || review.submittedAt > previous.submittedAt) latest.set(login(review.author), review);
+    }
+    const requests = [...latest.values()].filter(r => r.state === "CHANGES_REQUESTED");
+    return requests.sort((a, b) => (a.submittedAt < b.submittedAt ? 1 : -1))[0] || null;
+};
+
+// A newer commit, comment or review-thread reply from the author counts as a follow-up
+const hasFollowUp = (pr, since) => {
+    const lastCommit = pr.commits && pr.commits.nodes[0] ? pr.commits.nodes[0].commit.committedDate : null;
+    const authorActivity = [
+        ...pr.comments.nodes.filter(c => login(c.author) === login(pr.author)).map(c => c.createdAt),
+        ...pr.reviews.nodes.filter(r => login(r.author) === login(pr.author)).map(r => r.submittedAt),
+    ];
+    return [lastCommit, ...authorActivity].some(date => date && date > since);
+};
+
+const longestWaitingFirst = (a, b) => b.days - a.days || a.number - b.number;
+
+/**
+ * Sorts open PRs/issues into the three "Needs attention" lists, each item waiting
+ * longer than its threshold (in days) as of `asOf`:
+ * - PRs (not drafts) without any review from someone other than the author,
+ * - PRs whose latest change request got no commit or author reply since,
+ * - issues opened by non-core authors without a comment from the core team.
+ */
+const classifyAttention = (prs, issues, { asOf, coreTeam, firstReviewDays, changesRequestedDays, unansweredIssueDays }) => {
+    const waitingForReview = [];
+    const changesRequested = [];
+    const unansweredIssues = [];
+
+    for (const pr of prs) {
+        if (pr.state !== "OPEN" || pr.isDraft) continue;
+
+        if (reviewsByOthers(pr).length === 0) {
+            if (daysBetween(pr.createdAt, asOf) > firstReviewDays) waitingForReview.push(toEntry(pr, pr.createdAt, asOf));
+            continue;
+        }
+
+        const request = outstandingChangeRequest(pr);
+        if (request && !hasFollowUp(pr, request.submittedAt) && daysBetween(request.submittedAt, asOf) > changesRequestedDays) {
+            changesRequested.push({ ...toEntry(pr, request.submittedAt, asOf), reviewer: login(request.author) });
+        }
+    }
+
+    for (const issue of issues) {
+        if (issue.state !== "OPEN" || coreTeam.includes(login(issue.author))) continue;
+
+        const answered = issue.comments.nodes.some(c => coreTeam.includes(login(c.author)));
+        if (!answered && daysBetween(issue.createdAt, asOf) > unansweredIssueDays) {
+            unansweredIssues.push(toEntry(issue, issue.createdAt, asOf));
+        }
+    }
+
+    return {
+        waitingForReview: waitingForReview.sort(longestWaitingFirst),
+        changesRequested: changesRequested.sort(longestWaitingFirst),
+        unansweredIssues: unansweredIssues.sort(longestWaitingFirst),
+    };
+};
+
+/**
+ * Fetches the open PRs and issues of every source repository and returns the
+ * "Needs attention" lists as of the end of the period, each capped at `maxItems`
+ * (the longest waiting first) with the full count in `total` and the rest in `more`.
+ * Items rejected by `keepItem` (the configured filters) are left out.
+ */
+const findItemsNeedingAttention = async (github, sourceRepos, { period, coreTeam, settings, fetchOptions = {}, keepItem = () => true }) => {
+    const prs = [];
+    const issues = [];
+    for (const repoName of sourceRepos) {
+        const [repoPRs, repoIssues] = await Promise.all([
+            fetchItems(github, `repo:${repoName} is:pr is:open draft:false created:<${period.end}`, fetchOptions),
+            fetchItems(github, `repo:${repoName} is:issue is:open created:<${period.end}`, fetchOptions)
+        ]);
+        prs.push(...repoPRs.filter(keepItem));
+        issues.push(...repoIssues.filter(keepItem));
+    }
+
+    const lists = classifyAttention(prs, issues, {
+        asOf: period.end,
+        coreTeam,
+        firstReviewDays: settings.firstReviewDays,
+        changesRequestedDays: settings.changesRequestedDays,
+        unansweredIssueDays: settings.unansweredIssueDays,
+    });
+
+    const capped = (list) => ({ total: list.length, items: list.slice(0, settings.maxItems), more: Math.max(list.length - settings.maxItems, 0) });
+    return {
+        waitingForReview: capped(lists.waitingForReview),
+        changesRequested: capped(lists.changesRequested),
+        unansweredIssues: capped(lists.unansweredIssues),
+        thresholds: {
+            firstReviewDays: settings.firstReviewDays,
+            changesRequestedDays: settings.changesRequestedDays,
+            unansweredIssueDays: settings.unansweredIssueDays,
+        },
+    };
+};
+
+module.exports = { findItemsNeedingAttention, classifyAttention };
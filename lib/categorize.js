@@ -0,0 +1,80 @@
+// Groups PRs/issues into categories from their labels and Conventional Commit headers
+// (https://www.conventionalcommits.org/), e.g. "feat(ui)!: drop legacy panel".
+
+// `type(scope)!: description`. The scope and `!` breaking marker are optional.
+const CONVENTIONAL_HEADER = /^\s*([a-z]+)(?:\(([^)]*)\))?(!)?\s*:\s*(.+)$/i;
+
+const BREAKING_FOOTER = /^BREAKING[ -]CHANGE:/m;
+
+const FALLBACK_CATEGORY = { key: "other", title: "🔧 Other Changes", types: [], labels: [] };
+
+const parseConventionalTitle = (title) => {
+    const match = CONVENTIONAL_HEADER.exec(title || "");
+    if (!match) return null;
+
+    return {
+        type: match[1].toLowerCase(),
+        scope: match[2] ? match[2].trim() : null,
+        breaking: Boolean(match[3]),
+        description: match[4].trim(),
+    };
+};
+
+const labelNames = (item) => (item.labels && item.labels.nodes ? item.labels.nodes.map(l => l.name) : []);
+
+/**
+ * Returns a classifier for the configured categories. The classifier tags an
+ * item with `{ key, rank, conventional, breaking }`, where `rank` is the
+ * category's position in the config (breaking changes first by default).
+ *
+ * Precedence: breaking marker (`!`, `BREAKING CHANGE:` footer or a breaking
+ * label) > label mapping > Conventional Commit type > title starting with a
+ * type keyword (e.g. "Fix login") > the "other" category.
+ */
+const createCategorizer = (categories) => {
+    const list = categories.some(c => c.key === FALLBACK_CATEGORY.key) ? categories : [...categories, FALLBACK_CATEGORY];
+    const byKey = new Map(list.map((category, rank) => [category.key, { ...category, rank }]));
+    const lower = (values) => (values || []).map(v => v.toLowerCase());
+
+    const findBy = (field, value) => list.find(c => lower(c[field]).includes(value));
+
+    const categorize = (item) => {
+        const labels = lower(labelNames(item));
+        const conventional = parseConventionalTitle(item.title);
+        const breakingCategory = byKey.get("breaking");
+
+        const breaking = Boolean(conventional && conventional.breaking)
+            || BREAKING_FOOTER.test(item.body || "")
+            || Boolean(breakingCategory && labels.some(l => lower(breakingCategory.labels).includes(l)));
+
+        let category = breaking && breakingCategory ? breakingCategory : null;
+
+        if (!category) {
+            category = labels.map(l => findBy("labels", l)).find(Boolean);
+        }
+        if (!category && conventional) {
+            category = findBy("types", conventional.type);
+        }
+        if (!category) {
+            // Legacy titles without a colon, e.g. "Feature/new panel" or "Fix login redirect"
+            const title = (item.title || "").toLowerCase();
+            category = list.find(c => lower(c.types).some(type => type.length >= 3 && title.startsWith(type)));
+        }
+
+        const { key, rank } = byKey.get((category || FALLBACK_CATEGORY).key);
+        return { key, rank, conventional, breaking };
+    };
+
+    // Non-empty groups in category order
+    const group = (entries) => list
+        .map(category => ({
+            key: category.key,
+            title: category.title,
+            items: entries.filter(entry => entry.category === category.key),
+        }))
+        .filter(g => g.items.length > 0);
+
+    return { categorize, group };
+};
+
+module.exports = { createCategorizer, parseConventionalTitle, labelNames };
@@ -0,0 +1,190 @@
+// `awl-roundup` command line: generates a roundup locally (nothing is posted) or previews
+// the discussion body in the browser. Report generation is the same as the workflow's.
+
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const { formatInTimeZone } = require("date-fns-tz");
+const { loadConfig } = require("./config");
+const { createProvider } = require("./llm");
+const { createGitHubClient } = require("./github");
+const { createMarkdownRenderer } = require("./render/markdown");
+const { createHtmlRenderer } = require("./render/html");
+const { renderPreview, startPreviewServer } = require("./preview");
+const { runRoundup, resolveReportPeriod } = require("./roundup");
+const { assertTimezone } = require("./period");
+
+const USAGE = `Usage: awl-roundup <command> [options]
+
+Commands:
+  generate   Write the roundup to a file (or stdout) without posting it
+  preview    Serve the discussion body, rendered like GitHub does, on localhost
+
+Options:
+  --repo <owner/name>      Repository to report on, repeat for several
+  --org <name>             Every repository of an organization instead (narrowed by --topic)
+  --topic <topic>          Only the organization's repositories with this topic
+  --since <YYYY-MM-DD>     First day of the period
+  --until <YYYY-MM-DD>     Last day of the period (defaults to today)
+  --timezone <zone>        IANA timezone of the period's days (defaults to the config file)
+  --format <md|html|json>  Output of generate (default: md)
+  --out <file>             File to write instead of stdout
+  --config <file>          Roundup config file (default: .github/roundup.yml)
+  --port <number>          Port of the preview server (default: 4000)
+  --refresh-summaries      Regenerate all AI summaries instead of reusing cached ones
+  -h, --help               Show this help
+
+Without --since/--until the period comes from the config file (the last full week by default).
+GITHUB_TOKEN (or GH_TOKEN) is required, LLM API keys are read from the same env vars as the workflow.`;
+
+const OPTIONS = {
+    repo: { type: "string", multiple: true },
+    org: { type: "string" },
+    topic: { type: "string" },
+    since: { type: "string" },
+    until: { type: "string" },
+    timezone: { type: "string" },
+    format: { type: "string", default: "md" },
+    out: { type: "string" },
+    config: { type: "string" },
+    port: { type: "string", default: "4000" },
+    "refresh-summaries": { type: "boolean", default: false },
+    help: { type: "boolean", short: "h" },
+};
+
+const FORMATS = ["md", "html", "json"];
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Wrong arguments: the message is shown with a pointer to --help
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "UsageError";
+    }
+}
+
+const parseCommandLine = (argv) => {
+    try {
+        const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+        return { command: positionals[0], extra: positionals.slice(1), options: values };
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+};
+
+// --since/--until as a custom YYYY-MM-DD..YYYY-MM-DD period, undefined to use the configured one
+const periodSetting = ({ since, until }, timezone) => {
+    if (!since && !until) return undefined;
+    if (!since) throw new UsageError("--until needs --since.");
+
+    const last = until || formatInTimeZone(new Date(), timezone, "yyyy-MM-dd");
+    for (const [flag, date] of [["--since", since], ["--until", last]]) {
+        if (!DATE_ONLY.test(date)) throw new UsageError(`${flag} must be a YYYY-MM-DD date (got "${date}").`);
+    }
+    return `${since}..${last}`;
+};
+
+// Everything both commands need, resolved from the options and env vars
+const prepare = (options, env) => {
+    const token = env.GITHUB_TOKEN || env.GH_TOKEN;
+    if (!token) {
+        throw new UsageError("GITHUB_TOKEN (or GH_TOKEN) is required to fetch from GitHub.");
+    }
+    if (!options.repo && !options.org) {
+        throw new UsageError("Pass --repo <owner/name> (repeat for several) or --org <name>.");
+    }
+
+    const config = loadConfig(process.cwd(), options.config || env.ROUNDUP_CONFIG);
+    if (config.source) {
+        console.log(`Loaded roundup config from ${config.source}`);
+    }
+
+    const llm = createProvider(config.llm);
+    if (llm) {
+        console.log(`Using LLM provider: ${llm.name} (${llm.model})`);
+    }
+
+    // Checked here, before --since/--until need it
+    const timezone = options.timezone || config.timezone;
+    try {
+        assertTimezone(timezone);
+    } catch (error) {
+        throw new UsageError(`--timezone must be an IANA name such as "Asia/Kolkata" (got "${timezone}").`);
+    }
+    return {
+        config,
+        llm,
+        github: createGitHubClient({ token, apiUrl: env.GITHUB_API_URL || undefined, serverUrl: env.GITHUB_SERVER_URL || undefined }),
+        period: resolveReportPeriod(config, { period: periodSetting(options, timezone), timezone }),
+        sources: { org: options.org, topic: options.topic, nameFilter: env.SOURCE_NAME_FILTER, repos: (options.repo || []).join(",") },
+        refreshSummaries: options["refresh-summaries"],
+        // Cached summaries are reused, but a local run never writes the cache file
+        updateSummaryCache: false,
+    };
+};
+
+const RENDERERS = {
+    md: (config) => createMarkdownRenderer(config.templates.markdown),
+    html: (config) => createHtmlRenderer(config.templates.html),
+    json: () => (report) => JSON.stringify(report, null, 2) + "\n",
+};
+
+const generate = async (options, { env, stdout }) => {
+    if (!FORMATS.includes(options.format)) {
+        throw new UsageError(`--format must be one of ${FORMATS.join(", ")} (got "${options.format}").`);
+    }
+
+    const context = prepare(options, env);
+    const { report } = await runRoundup(context);
+    const rendered = RENDERERS[options.format](context.config)(report);
+
+    if (options.out) {
+        fs.mkdirSync(path.dirname(path.resolve(options.out)), { recursive: true });
+        fs.writeFileSync(options.out, rendered);
+        console.log(`Wrote ${options.out}`);
+    } else {
+        stdout.write(rendered);
+    }
+    return report;
+};
+
+const preview = async (options, { env }) => {
+    const port = Number(options.port);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        throw new UsageError(`--port must be a port number (got "${options.port}").`);
+    }
+
+    const context = prepare(options, env);
+    const { report } = await runRoundup(context);
+    const page = await renderPreview(report, context);
+
+    const server = await startPreviewServer(page, { port });
+    console.log(`Previewing "${report.title}" at ${server.url} (Ctrl+C to stop)`);
+    return server;
+};
+
+const COMMANDS = { generate, preview };
+
+/**
+ * Runs the command in `argv` (without the node and script paths). `generate`
+ * resolves with the report, `preview` with the running server ({ url, close }).
+ * Throws a UsageError for wrong arguments.
+ */
+const run = async (argv, { env = process.env, stdout = process.stdout } = {}) => {
+    const { command, extra, options } = parseCommandLine(argv);
+
+    if (options.help || !command) {
+        stdout.write(`${USAGE}\n`);
+        return null;
+    }
+    if (!COMMANDS[command]) {
+        throw new UsageError(`Unknown command "${command}" (expected ${Object.keys(COMMANDS).join(" or ")}).`);
+    }
+    if (extra.length > 0) {
+        throw new UsageError(`Unexpected argument "${extra[0]}".`);
+    }
+
+    return COMMANDS[command](options, { env, stdout });
+};
+
+module.exports = { run, UsageError, USAGE };
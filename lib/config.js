@@ -0,0 +1,392 @@
+const fs = require("fs");
+const path = require("path");
+const YAML = require("yaml");
+const { PROVIDER_NAMES } = require("./llm");
+const { OUTPUT_NAMES, WEBHOOK_FORMATS } = require("./outputs");
+
+// Looked up in order when no config path (ROUNDUP_CONFIG) is given
+const DEFAULT_CONFIG_PATHS = [".github/roundup.yml", ".github/roundup.yaml", ".github/roundup.json"];
+
+// Today's behaviour, used for every value the config file leaves out
+const DEFAULTS = {
+    projectName: "Agentic Web Learning Tool",
+    titlePrefix: "Week in AWL",
+    // Prefixes for the other cadences, `titlePrefix` is used for weekly roundups unless set here
+    titlePrefixes: {
+        biweekly: "Fortnight in AWL",
+        monthly: "Month in AWL",
+        custom: "AWL Roundup",
+    },
+    // weekly | biweekly | monthly | YYYY-MM-DD..YYYY-MM-DD, the PERIOD env var takes precedence
+    period: "weekly",
+    // IANA timezone for window boundaries and dates in the title, the TIMEZONE env var takes precedence
+    timezone: "Asia/Kolkata",
+    // Local time (HH:mm) at which weekly and biweekly windows end, matching the schedule (17:00 IST)
+    cutoffTime: "17:00",
+    coreTeam: ["amedina", "gagan0123", "amovar18", "mayan-000", "mohdsayed", "maitreyie-chavan", "joellobo1234"],
+    contributors: {
+        activeCoreOnly: false,   // true: only list core members who did something this period
+        stats: true,             // per-person table of PRs opened/merged, reviews and comments
+        firstTimers: true,       // "First-time contributors" callout (one search per new PR author)
+        bots: false,             // list bot accounts (dependabot[bot], …) among the contributors
+    },
+    // Items to leave out of the report entirely. Authors may use * (e.g. "*[bot]"), titles are
+    // case-insensitive regular expressions. With any `include` rule set only matching items are kept.
+    filters: {
+        include: { authors: [], labels: [], titles: [] },
+        exclude: { authors: [], labels: [], titles: [] },
+    },
+    dependencyUpdates: {
+        enabled: true,           // collapse dependency bumps into one "Dependency updates" list per repository
+        authors: ["dependabot[bot]", "renovate[bot]"], // PRs by these, with these labels or titled like a bump
+        labels: ["dependencies"],
+    },
+    discussionCategory: "announcements",
+    releases: {
+        enabled: true,           // "Releases" section with the releases published this period
+        tags: true,              // also list tags created this period that have no release
+        summarize: true,         // summarise release notes with the LLM (else a snippet of the notes)
+    },
+    directCommits: {
+        enabled: true,           // "Direct commits" section for default-branch commits without a reported PR
+    },
+    attention: {
+        enabled: false,          // "Needs attention" triage list of stuck PRs and issues
+        firstReviewDays: 3,      // open PRs without a review for longer than this
+        changesRequestedDays: 5, // PRs with requested changes and no commit/reply from the author for longer than this
+        unansweredIssueDays: 3,  // issues without a comment from the core team for longer than this
+        maxItems: 10,            // per list, the longest waiting first
+    },
+    metrics: {
+        enabled: true,           // "By the numbers" table with changes from the previous period
+        historyFile: "roundups/metrics-history.json", // kept in the Actions cache by the workflow
+        sparkline: "none",       // none | ascii (trend column) | mermaid (chart of PRs merged)
+        trendPeriods: 8,         // periods covered by the sparkline/chart, this one included
+    },
+    redaction: {
+        enabled: true,           // scrub secrets from PR descriptions, diffs and release notes before any prompt
+        emails: true,            // also replace email addresses
+        highEntropy: true,       // also replace random-looking strings (API keys without a known format)
+        entropyThreshold: 4.2,   // bits per character from which a 20+ character string counts as random
+        patterns: [],            // extra regular expressions to redact
+        paths: [".env", ".env.*", "*.pem", "*.key"], // changed files (globs) left out of the diff context
+        excludePrivate: false,   // keep PRs of private repositories away from the LLM entirely
+        excludeLabels: ["security"], // ...and PRs with any of these labels
+    },
+    grounding: {
+        enabled: true,           // check that AI summaries only name files/identifiers found in the PR
+        onFailure: "regenerate", // regenerate (then fall back) | fallback (to the description) | mark (keep, flagged)
+    },
+    summaryCache: {
+        enabled: true,           // reuse AI summaries of PRs whose head commit hasn't changed since the last run
+        file: "roundups/summary-cache.json", // kept in the Actions cache by the workflow, never committed
+        maxEntries: 2000,        // the oldest entries are dropped beyond this
+    },
+    ignoredFiles: ["package-lock.json", "yarn.lock", "pnpm-lock.yaml", "dist/", ".min.js", ".map", "npm-debug.log"],
+    // PR sections, in display order. Items match by label first, then Conventional Commit type.
+    categories: [
+        { key: "breaking", title: "💥 Breaking Changes", types: [], labels: ["breaking", "breaking change", "breaking-change"] },
+        { key: "features", title: "✨ Features", types: ["feature", "feat"], labels: ["feature", "enhancement"] },
+        { key: "fixes", title: "🐛 Fixes", types: ["fix", "bugfix", "hotfix"], labels: ["bug", "fix"] },
+        { key: "perf", title: "⚡ Performance", types: ["perf"], labels: ["performance"] },
+        { key: "refactor", title: "♻️ Refactoring", types: ["refactor", "style"], labels: ["refactor"] },
+        { key: "docs", title: "📝 Documentation", types: ["docs", "doc"], labels: ["documentation", "docs"] },
+        { key: "tests", title: "🧪 Tests", types: ["test", "tests"], labels: ["tests", "testing"] },
+        { key: "chores", title: "🧹 Chores", types: ["chore", "build", "ci", "deps", "revert"], labels: ["chore", "dependencies", "ci"] },
+        { key: "other", title: "🔧 Other Changes", types: [], labels: [] },
+    ],
+    llm: {
+        provider: "gemini",
+        maxPromptTokens: 12000,
+        maxRetries: 2,
+        retryDelayMs: 2000,
+    },
+    outputs: {
+        targets: ["discussion"],
+        markdown: { dir: "roundups" },
+        html: { dir: "roundups" },
+        webhook: { format: "slack", urlEnv: "ROUNDUP_WEBHOOK_URL" },
+    },
+    // Handlebars template overrides, relative to the working directory. Unset means the bundled templates/
+    templates: {},
+    // Unset means a footer naming the LLM provider and model that wrote the summaries
+    footer: null,
+};
+
+const FILTER_RULES = {
+    type: "object",
+    properties: {
+        authors: { type: "array", items: { type: "string" } },
+        labels: { type: "array", items: { type: "string" } },
+        titles: { type: "array", items: { type: "string", format: "regex" } },
+    },
+};
+
+const SCHEMA = {
+    projectName: { type: "string" },
+    titlePrefix: { type: "string" },
+    titlePrefixes: {
+        type: "object",
+        properties: {
+            weekly: { type: "string" },
+            biweekly: { type: "string" },
+            monthly: { type: "string" },
+            custom: { type: "string" },
+        },
+    },
+    period: { type: "string", pattern: /^(weekly|biweekly|monthly|\d{4}-\d{2}-\d{2}\.\.\d{4}-\d{2}-\d{2})$/, hint: "weekly, biweekly, monthly or YYYY-MM-DD..YYYY-MM-DD" },
+    timezone: { type: "string" },
+    cutoffTime: { type: "string", pattern: /^([01]\d|2[0-3]):[0-5]\d$/, hint: "HH:mm" },
+    coreTeam: { type: "array", items: { type: "string" } },
+    contributors: {
+        type: "object",
+        properties: {
+            activeCoreOnly: { type: "boolean" },
+            stats: { type: "boolean" },
+            firstTimers: { type: "boolean" },
+            bots: { type: "boolean" },
+        },
+    },
+    filters: {
+        type: "object",
+        properties: {
+            include: FILTER_RULES,
+            exclude: FILTER_RULES,
+        },
+    },
+    dependencyUpdates: {
+        type: "object",
+        properties: {
+            enabled: { type: "boolean" },
+            authors: { type: "array", items: { type: "string" } },
+            labels: { type: "array", items: { type: "string" } },
+        },
+    },
+    discussionCategory: { type: "string" },
+    releases: {
+        type: "object",
+        properties: {
+            enabled: { type: "boolean" },
+            tags: { type: "boolean" },
+            summarize: { type: "boolean" },
+        },
+    },
+    directCommits: {
+        type: "object",
+        properties: {
+            enabled: { type: "boolean" },
+        },
+    },
+    attention: {
+        type: "object",
+        properties: {
+            enabled: { type: "boolean" },
+            firstReviewDays: { type: "number", minimum: 0 },
+            changesRequestedDays: { type: "number", minimum: 0 },
+            unansweredIssueDays: { type: "number", minimum: 0 },
+            maxItems: { type: "number", minimum: 1 },
+        },
+    },
+    metrics: {
+        type: "object",
+        properties: {
+            enabled: { type: "boolean" },
+            historyFile: { type: "string" },
+            sparkline: { type: "string", enum: ["none", "ascii", "mermaid"] },
+            trendPeriods: { type: "number", minimum: 2 },
+        },
+    },
+    redaction: {
+        type: "object",
+        properties: {
+            enabled: { type: "boolean" },
+            emails: { type: "boolean" },
+            highEntropy: { type: "boolean" },
+            entropyThreshold: { type: "number", minimum: 0 },
+            patterns: { type: "array", items: { type: "string", format: "regex" } },
+            paths: { type: "array", items: { type: "string" } },
+            excludePrivate: { type: "boolean" },
+            excludeLabels: { type: "array", items: { type: "string" } },
+        },
+    },
+    grounding: {
+        type: "object",
+        properties: {
+            enabled: { type: "boolean" },
+            onFailure: { type: "string", enum: ["regenerate", "fallback", "mark"] },
+        },
+    },
+    summaryCache: {
+        type: "object",
+        properties: {
+            enabled: { type: "boolean" },
+            file: { type: "string" },
+            maxEntries: { type: "number", minimum: 1 },
+        },
+    },
+    ignoredFiles: { type: "array", items: { type: "string" } },
+    categories: {
+        type: "array",
+        items: {
+            type: "object",
+            required: ["key", "title"],
+            properties: {
+                key: { type: "string" },
+                title: { type: "string" },
+                types: { type: "array", items: { type: "string" } },
+                labels: { type: "array", items: { type: "string" } },
+            },
+        },
+    },
+    llm: {
+        type: "object",
+        properties: {
+            provider: { type: "string", enum: PROVIDER_NAMES },
+            model: { type: "string" },
+            endpoint: { type: "string" },
+            apiKeyEnv: { type: "string" },
+            maxPromptTokens: { type: "number", minimum: 1000 },
+            maxRetries: { type: "number", minimum: 0 },
+            retryDelayMs: { type: "number", minimum: 0 },
+        },
+    },
+    outputs: {
+        type: "object",
+        properties: {
+            targets: { type: "array", items: { type: "string", enum: OUTPUT_NAMES } },
+            markdown: { type: "object", properties: { dir: { type: "string" } } },
+            html: { type: "object", properties: { dir: { type: "string" } } },
+            webhook: {
+                type: "object",
+                properties: {
+                    format: { type: "string", enum: WEBHOOK_FORMATS },
+                    urlEnv: { type: "string" },
+                },
+            },
+        },
+    },
+    templates: {
+        type: "object",
+        properties: {
+            markdown: { type: "string" },
+            html: { type: "string" },
+        },
+    },
+    footer: { type: "string" },
+};
+
+class ConfigError extends Error {
+    constructor(file, problems) {
+        super(`Invalid roundup config in ${file}:\n${problems.map(p => `  - ${p}`).join("\n")}`);
+        this.name = "ConfigError";
+        this.problems = problems;
+    }
+}
+
+const describe = (value) => {
+    if (value === null) return "null";
+    if (Array.isArray(value)) return "array";
+    return typeof value;
+};
+
+// Minimal JSON-schema-like validator. Returns a list of human readable problems.
+const validate = (value, schema, at) => {
+    const problems = [];
+    const actual = describe(value);
+
+    if (schema.type === "object") {
+        if (actual !== "object") return [`${at ? `"${at}"` : "The config file"} must be an object (got ${actual})`];
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) problems.push(`"${at ? `${at}.${key}` : key}" is required`);
+        }
+        for (const [key, child] of Object.entries(value)) {
+            const keyPath = at ? `${at}.${key}` : key;
+            if (!schema.properties[key]) {
+                problems.push(`"${keyPath}" is not a known option (expected one of: ${Object.keys(schema.properties).join(", ")})`);
+                continue;
+            }
+            problems.push(...validate(child, schema.properties[key], keyPath));
+        }
+        return problems;
+    }
+
+    if (schema.type === "array") {
+        if (actual !== "array") return [`"${at}" must be an array (got ${actual})`];
+        value.forEach((entry, i) => problems.push(...validate(entry, schema.items, `${at}[${i}]`)));
+        return problems;
+    }
+
+    if (actual !== schema.type) {
+        return [`"${at}" must be a ${schema.type} (got ${actual})`];
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        return [`"${at}" must be one of: ${schema.enum.join(", ")} (got "${value}")`];
+    }
+    if (schema.pattern && !schema.pattern.test(value)) {
+        return [`"${at}" must be ${schema.hint} (got "${value}")`];
+    }
+    if (schema.format === "regex") {
+        try {
+            new RegExp(value);
+        } catch (e) {
+            return [`"${at}" is not a valid regular expression: ${e.message}`];
+        }
+    }
+    if (schema.type === "number" && schema.minimum !== undefined && value < schema.minimum) {
+        return [`"${at}" must be at least ${schema.minimum} (got ${value})`];
+    }
+    return problems;
+};
+
+// Nested objects are merged key by key, everything else (arrays included) is replaced
+const merge = (defaults, overrides) => {
+    const result = { ...defaults };
+    for (const [key, value] of Object.entries(overrides)) {
+        const base = defaults[key];
+        result[key] = describe(base) === "object" && describe(value) === "object" ? merge(base, value) : value;
+    }
+    return result;
+};
+
+const resolveConfigPath = (cwd, configPath) => {
+    if (configPath) {
+        const explicit = path.resolve(cwd, configPath);
+        if (!fs.existsSync(explicit)) {
+            throw new Error(`Config file ${explicit} does not exist.`);
+        }
+        return explicit;
+    }
+    return DEFAULT_CONFIG_PATHS.map(p => path.resolve(cwd, p)).find(p => fs.existsSync(p)) || null;
+};
+
+/**
+ * Loads the optional roundup config (YAML or JSON), validates it and
+ * merges it over DEFAULTS. `configPath` (ROUNDUP_CONFIG by default) skips the
+ * lookup of the default paths. Throws a ConfigError listing every problem found.
+ */
+const loadConfig = (cwd = process.cwd(), configPath = process.env.ROUNDUP_CONFIG) => {
+    const file = resolveConfigPath(cwd, configPath);
+    if (!file) {
+        return { ...DEFAULTS, source: null };
+    }
+
+    const text = fs.readFileSync(file, "utf8");
+    let raw;
+    try {
+        raw = file.endsWith(".json") ? JSON.parse(text) : YAML.parse(text);
+    } catch (e) {
+        throw new ConfigError(file, [`could not be parsed: ${e.message}`]);
+    }
+
+    // An empty file means "use the defaults"
+    if (raw === null || raw === undefined) raw = {};
+
+    const problems = validate(raw, { type: "object", properties: SCHEMA }, "");
+    if (problems.length > 0) {
+        throw new ConfigError(file, problems);
+    }
+
+    return { ...merge(DEFAULTS, raw), source: file };
+};
+
+module.exports = { loadConfig, ConfigError, DEFAULTS };
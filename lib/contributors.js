@@ -0,0 +1,102 @@
+// Contributor bookkeeping: who engaged this period, what they did, and who landed their first PR.
+
+const { isBot } = require("./filters");
+const { inPeriod } = require("./period");
+
+const emptyStats = () => ({ prsOpened: 0, prsMerged: 0, reviews: 0, comments: 0 });
+
+/**
+ * Collects everyone who authored, reviewed or commented on the fetched items,
+ * with per-person counts of activity that happened inside the period. Bot
+ * accounts are left out unless `includeBots` is set.
+ * Returns a Map of login -> { login, url, stats }.
+ */
+const collectContributors = (items, period, { includeBots = false } = {}) => {
+    const contributors = new Map();
+
+    const addContributor = (author) => {
+        if (!author || !author.login) return null;
+        if (!includeBots && isBot(author)) return null;
+        if (!contributors.has(author.login)) {
+            contributors.set(author.login, { login: author.login, url: author.url, stats: emptyStats() });
+        }
+        return contributors.get(author.login);
+    };
+
+    for (const item of items) {
+        const author = addContributor(item.author);
+        if (author && item.__typename === 'PullRequest') {
+            if (inPeriod(item.createdAt, period)) author.stats.prsOpened++;
+            if (inPeriod(item.mergedAt, period)) author.stats.prsMerged++;
+        }
+
+        if (item.comments && item.comments.nodes) {
+            item.comments.nodes.forEach(c => {
+                const commenter = addContributor(c.author);
+                if (commenter && inPeriod(c.createdAt, period)) commenter.stats.comments++;
+            });
+        }
+        if (item.reviews && item.reviews.nodes) {
+            item.reviews.nodes.forEach(r => {
+                const reviewer = addContributor(r.author);
+                if (reviewer && inPeriod(r.submittedAt, period)) reviewer.stats.reviews++;
+            });
+        }
+    }
+
+    return contributors;
+};
+
+const isActive = (contributor) => Object.values(contributor.stats).some(count => count > 0);
+
+/**
+ * Core team first (in config order), then everyone else alphabetically.
+ * With `activeCoreOnly`, core members without activity this period are left out.
+ * Inactive core members link to their profile on `serverUrl`.
+ */
+const orderContributors = (contributors, coreTeam, { activeCoreOnly = false, serverUrl = "https://github.com" } = {}) => {
+    const core = coreTeam
+        .map(login => contributors.get(login) || { login, url: `${serverUrl}/${login}`, stats: emptyStats() })
+        .filter(contributor => !activeCoreOnly || isActive(contributor));
+
+    const others = Array.from(contributors.values())
+        .filter(c => !coreTeam.includes(c.login))
+        .sort((a, b) => (a.login < b.login ? -1 : a.login > b.login ? 1 : 0));
+
+    return [...core, ...others].map(c => ({ ...c, core: coreTeam.includes(c.login), active: isActive(c) }));
+};
+
+/**
+ * Authors whose first merged PR in a repository landed this period. One search per
+ * (repo, author) pair: any PR by them merged before the period means they're not new.
+ */
+const findFirstTimeContributors = async (graphql, mergedPRs, period) => {
+    const candidates = new Map();
+    for (const pr of mergedPRs) {
+        if (!pr.author || !pr.author.login || isBot(pr.author)) continue;
+        const key = `${pr.repository.nameWithOwner}|${pr.author.login}`;
+        if (!candidates.has(key)) {
+            candidates.set(key, { repository: pr.repository.nameWithOwner, login: pr.author.login, url: pr.author.url, prs: [] });
+        }
+        candidates.get(key).prs.push({ number: pr.number, title: pr.title, url: pr.url });
+    }
+
+    const firstTimers = [];
+    for (const candidate of candidates.values()) {
+        try {
+            const { search } = await graphql(`
+        query($q: String!) {
+          search(query: $q, type: ISSUE, first: 1) { issueCount }
+        }
+      `, { q: `repo:${candidate.repository} is:pr is:merged author:${candidate.login} merged:<${period.start}` });
+
+            if (search.issueCount === 0) firstTimers.push(candidate);
+        } catch (e) {
+            console.warn(`Could not check earlier PRs of ${candidate.login} in ${candidate.repository}`, e.message);
+        }
+    }
+
+    return firstTimers.sort((a, b) => a.login.localeCompare(b.login));
+};
+
+module.exports = { collectContributors, orderContributors, findFirstTimeContributors };
@@ -0,0 +1,67 @@
+// Configurable item filters (author, label, title), bot accounts, and the dependency-bump
+// PRs that are collapsed into one "Dependency updates" list per repository.
+
+const { labelNames } = require("./categorize");
+
+const BOT_SUFFIX = /\[bot\]$/i;
+
+// Dependabot: "Bump vite from 5.0.0 to 5.1.0 in /packages/app"
+const DEPENDABOT_TITLE = /\bbump (\S+) from (\S+) to (\S+?)(?: in (\S+))?$/i;
+// Renovate: "Update dependency eslint to v9", "Update react monorepo to v18.3.1", "Update actions/checkout action to v4"
+const RENOVATE_TITLE = /\bupdate (?:(?:dependency|module) (\S+)|(\S+) (?:monorepo|action|digest|docker tag)) to (\S+?)$/i;
+
+const isBot = (actor) => Boolean(actor && actor.login) && (actor.__typename === "Bot" || BOT_SUFFIX.test(actor.login));
+
+// GraphQL names bots by their app ("dependabot"), the config uses the "dependabot[bot]" form seen everywhere else
+const actorLogin = (actor) => (isBot(actor) && !BOT_SUFFIX.test(actor.login) ? `${actor.login}[bot]` : actor.login);
+
+// Logins may use * as a wildcard, e.g. "*[bot]" for every bot account
+const loginPattern = (login) => new RegExp(`^${login.split("*").map(part => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*")}$`, "i");
+
+const compileRules = ({ authors, labels, titles }) => ({
+    authors: authors.map(loginPattern),
+    labels: labels.map(label => label.toLowerCase()),
+    titles: titles.map(title => new RegExp(title, "i")),
+    empty: authors.length + labels.length + titles.length === 0,
+});
+
+const matchesRules = (rules, item) => {
+    const login = item.author ? actorLogin(item.author) : null;
+    return (Boolean(login) && rules.authors.some(pattern => pattern.test(login)))
+        || labelNames(item).some(label => rules.labels.includes(label.toLowerCase()))
+        || rules.titles.some(pattern => pattern.test(item.title || ""));
+};
+
+/**
+ * Returns item => boolean for the `filters` config. With any `include` rule set only
+ * matching items are kept; `exclude` rules then drop items matching any of them.
+ */
+const createItemFilter = ({ include, exclude }) => {
+    const included = compileRules(include);
+    const excluded = compileRules(exclude);
+    return (item) => (included.empty || matchesRules(included, item)) && !matchesRules(excluded, item);
+};
+
+/**
+ * Package and versions of a dependency bump from its title ({ package, from, to, directory },
+ * unknown parts null), or null for titles in neither the Dependabot nor the Renovate format.
+ */
+const parseDependencyUpdate = (title) => {
+    const dependabot = DEPENDABOT_TITLE.exec(title);
+    if (dependabot) {
+        return { package: dependabot[1], from: dependabot[2], to: dependabot[3], directory: dependabot[4] || null };
+    }
+    const renovate = RENOVATE_TITLE.exec(title);
+    if (renovate) {
+        return { package: renovate[1] || renovate[2], from: null, to: renovate[3], directory: null };
+    }
+    return null;
+};
+
+// PRs by a dependency bot, with a dependency label, or titled like a bump
+const createDependencyDetector = ({ authors, labels }) => {
+    const rules = compileRules({ authors, labels, titles: [] });
+    return (pr) => matchesRules(rules, pr) || parseDependencyUpdate(pr.title || "") !== null;
+};
+
+module.exports = { createItemFilter, createDependencyDetector, parseDependencyUpdate, isBot, actorLogin };
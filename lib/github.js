@@ -0,0 +1,386 @@
+const { graphql } = require("@octokit/graphql");
+const { inPeriod } = require("./period");
+
+// Fields fetched for each comment/review, the dates feed the per-contributor stats
+// and the review states the "Needs attention" checks
+const CONNECTION_FIELDS = {
+    comments: "author { __typename login url } createdAt",
+    reviews: "author { __typename login url } state submittedAt"
+};
+
+/**
+ * Authenticated GraphQL + REST access. `apiUrl` defaults to GITHUB_API_URL as set
+ * by Actions (GitHub Enterprise Server works too), which also lets tests point
+ * everything at a local stand-in server. `serverUrl` (GITHUB_SERVER_URL) is the
+ * matching web host, used for links that the API doesn't return.
+ */
+const createGitHubClient = ({ token, apiUrl = "https://api.github.com", serverUrl = "https://github.com" }) => {
+    const graphqlWithAuth = graphql.defaults({
+        baseUrl: apiUrl,
+        headers: {
+            authorization: `token ${token}`,
+        },
+    });
+
+    // Helper to fetch diffs using REST API (More reliable for patches)
+    const getPRFiles = async (repoName, prNumber) => {
+        try {
+            // Use standard fetch for REST API to get patches reliably
+            const response = await fetch(`${apiUrl}/repos/${repoName}/pulls/${prNumber}/files?per_page=10`, {
+                headers: {
+                    'Authorization': `token ${token}`,
+                    'Accept': 'application/vnd.github.v3+json'
+                }
+            });
+
+            if (!response.ok) {
+                console.warn(`Failed to fetch diffs for ${repoName}#${prNumber}: ${response.status} ${response.statusText}`);
+                return [];
+            }
+
+            const files = await response.json();
+            return files.map(f => ({
+                path: f.filename,
+                patch: f.patch
+            }));
+        } catch (e) {
+            console.warn(`Failed to fetch diffs for ${repoName}#${prNumber}`, e.message);
+            return [];
+        }
+    };
+
+    // HTML of GitHub-flavoured Markdown as GitHub itself renders it, `context` (owner/name) resolves #123 and @mentions
+    const renderMarkdown = async (text, { context } = {}) => {
+        const response = await fetch(`${apiUrl}/markdown`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `token ${token}`,
+                'Accept': 'application/vnd.github.v3+json',
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ text, mode: "gfm", context })
+        });
+
+        if (!response.ok) {
+            throw new Error(`Failed to render Markdown: ${response.status} ${response.statusText}`);
+        }
+        return response.text();
+    };
+
+    return { graphql: graphqlWithAuth, getPRFiles, renderMarkdown, serverUrl };
+};
+
+/**
+ * Resolves the list of repositories to scrape.
+ * `org` (optionally narrowed by `topic` / `nameFilter`) takes precedence over `repos`
+ * (comma or newline separated).
+ */
+const resolveSourceRepos = async (github, { org, topic, nameFilter, repos }) => {
+    if (org) {
+        let q = `org:${org} archived:false`;
+        if (topic) q += ` topic:${topic}`;
+
+        const names = [];
+        let cursor = null;
+        let hasNextPage = true;
+        while (hasNextPage) {
+            const { search } = await github.graphql(`
+        query($q: String!, $cursor: String) {
+          search(query: $q, type: REPOSITORY, first: 100, after: $cursor) {
+            pageInfo { hasNextPage endCursor }
+            nodes { ... on Repository { nameWithOwner } }
+          }
+        }
+      `, { q, cursor });
+            names.push(...search.nodes.map(n => n.nameWithOwner));
+            ({ hasNextPage, endCursor: cursor } = search.pageInfo);
+        }
+
+        const nameRegex = nameFilter ? new RegExp(nameFilter, "i") : null;
+        const matched = names
+            .filter(name => !nameRegex || nameRegex.test(name.split("/")[1]))
+            .sort();
+        if (matched.length === 0) {
+            throw new Error(`No repositories in org "${org}" matched the topic/name filter.`);
+        }
+        return matched;
+    }
+
+    return [...new Set(repos.split(/[\s,]+/).filter(Boolean))];
+};
+
+// Follow-up query to page through a nested connection (comments/reviews) of a single item
+const fetchRemainingConnection = async (github, item, field, stats, maxConnectionPages) => {
+    const connection = item[field];
+    let { hasNextPage, endCursor } = connection.pageInfo;
+    let pages = 1;
+
+    while (hasNextPage && pages < maxConnectionPages) {
+        const { node } = await github.graphql(`
+        query($id: ID!, $cursor: String) {
+          node(id: $id) {
+            ... on ${item.__typename} {
+              ${field}(first: 100, after: $cursor) {
+                pageInfo { hasNextPage endCursor }
+                nodes { ${CONNECTION_FIELDS[field]} }
+              }
+            }
+          }
+        }
+      `, { id: item.id, cursor: endCursor });
+
+        const page = node[field];
+        connection.nodes.push(...page.nodes);
+        ({ hasNextPage, endCursor } = page.pageInfo);
+        pages++;
+        stats.connectionPages++;
+    }
+
+    if (hasNextPage) {
+        console.warn(`Reached MAX_CONNECTION_PAGES (${maxConnectionPages}) for ${field} on ${item.url}, some contributors may be missing.`);
+    }
+};
+
+/**
+ * Runs an issue/PR search, following `pageInfo` cursors up to `maxSearchPages`
+ * (GitHub search never returns more than 1000 results, i.e. 10 pages of 100) and
+ * paging through comments/reviews beyond the first 20 up to `maxConnectionPages`.
+ */
+const fetchItems = async (github, q, { maxSearchPages = 10, maxConnectionPages = 10 } = {}) => {
+    const items = [];
+    const stats = { searchPages: 0, connectionPages: 0 };
+    let cursor = null;
+    let hasNextPage = true;
+
+    try {
+        while (hasNextPage && stats.searchPages < maxSearchPages) {
+            const { search } = await github.graphql(`
+        query($q: String!, $cursor: String) {
+          search(query: $q, type: ISSUE, first: 100, after: $cursor) {
+            issueCount
+            pageInfo { hasNextPage endCursor }
+            nodes {
+              ... on PullRequest {
+                __typename
+                id
+                number
+                title
+                body
+                url
+                state
+                createdAt
+                updatedAt
+                closedAt
+                mergedAt
+                isDraft
+                headRefOid
+                author { __typename login url }
+                repository { nameWithOwner isPrivate }
+                labels(first: 20) { nodes { name } }
+                comments(first: 20) { pageInfo { hasNextPage endCursor } nodes { ${CONNECTION_FIELDS.comments} } }
+                reviews(first: 20) { pageInfo { hasNextPage endCursor } nodes { ${CONNECTION_FIELDS.reviews} } }
+                commits(last: 1) { nodes { commit { committedDate } } }
+              }
+              ... on Issue {
+                __typename
+                id
+                number
+                title
+                body
+                url
+                state
+                createdAt
+                updatedAt
+                closedAt
+                author { __typename login url }
+                repository { nameWithOwner }
+                labels(first: 20) { nodes { name } }
+                comments(first: 20) { pageInfo { hasNextPage endCursor } nodes { ${CONNECTION_FIELDS.comments} } }
+              }
+            }
+          }
+        }
+      `, { q, cursor });
+
+            stats.searchPages++;
+            items.push(...search.nodes);
+            ({ hasNextPage, endCursor: cursor } = search.pageInfo);
+
+            if (hasNextPage && stats.searchPages >= maxSearchPages) {
+                console.warn(`Reached MAX_SEARCH_PAGES (${maxSearchPages}) with ${items.length} of ${search.issueCount} results for "${q}", the report will be incomplete.`);
+            }
+        }
+    } catch (e) {
+        console.warn("Error fetching items, returning what was fetched so far", e.message);
+    }
+
+    // Fetch comments/reviews beyond the first page for busy items
+    for (const item of items) {
+        for (const field of ["comments", "reviews"]) {
+            if (item[field] && item[field].pageInfo.hasNextPage) {
+                try {
+                    await fetchRemainingConnection(github, item, field, stats, maxConnectionPages);
+                } catch (e) {
+                    console.warn(`Error fetching more ${field} for ${item.url}`, e.message);
+                }
+            }
+        }
+    }
+
+    console.log(`Fetched ${items.length} items for "${q}" in ${stats.searchPages} search page(s) and ${stats.connectionPages} extra comment/review page(s).`);
+    return items;
+};
+
+/**
+ * Published releases of `repoName` created in the period (newest first). Pages
+ * stop as soon as they reach releases older than the period.
+ */
+const fetchReleases = async (github, repoName, period, { maxHistoryPages = 10 } = {}) => {
+    const [owner, name] = repoName.split("/");
+    const releases = [];
+    let cursor = null;
+    let hasNextPage = true;
+    let pages = 0;
+
+    try {
+        while (hasNextPage && pages < maxHistoryPages) {
+            const { repository } = await github.graphql(`
+        query($owner: String!, $name: String!, $cursor: String) {
+          repository(owner: $owner, name: $name) {
+            releases(first: 50, after: $cursor, orderBy: {field: CREATED_AT, direction: DESC}) {
+              pageInfo { hasNextPage endCursor }
+              nodes { name tagName url createdAt publishedAt isDraft isPrerelease description author { login url } }
+            }
+          }
+        }
+      `, { owner, name, cursor });
+
+            pages++;
+            const { nodes, pageInfo } = repository.releases;
+            releases.push(...nodes.filter(r => !r.isDraft && inPeriod(r.publishedAt || r.createdAt, period)));
+            hasNextPage = pageInfo.hasNextPage && nodes.every(r => r.createdAt >= period.start);
+            cursor = pageInfo.endCursor;
+
+            if (hasNextPage && pages >= maxHistoryPages) {
+                console.warn(`Reached MAX_HISTORY_PAGES (${maxHistoryPages}) for releases of ${repoName}, some releases may be missing.`);
+            }
+        }
+    } catch (e) {
+        console.warn(`Error fetching releases of ${repoName}, returning what was fetched so far`, e.message);
+    }
+
+    return releases.map(r => ({ ...r, repository: repoName }));
+};
+
+/**
+ * Tags of `repoName` created in the period. Annotated tags carry their own date,
+ * lightweight ones fall back to the date of the tagged commit.
+ */
+const fetchTags = async (github, repoName, period, { maxHistoryPages = 10 } = {}) => {
+    const [owner, name] = repoName.split("/");
+    const tags = [];
+    let cursor = null;
+    let hasNextPage = true;
+    let pages = 0;
+
+    try {
+        while (hasNextPage && pages < maxHistoryPages) {
+            const { repository } = await github.graphql(`
+        query($owner: String!, $name: String!, $cursor: String) {
+          repository(owner: $owner, name: $name) {
+            refs(refPrefix: "refs/tags/", first: 100, after: $cursor, orderBy: {field: TAG_COMMIT_DATE, direction: DESC}) {
+              pageInfo { hasNextPage endCursor }
+              nodes {
+                name
+                target {
+                  ... on Tag { tagger { date } target { ... on Commit { committedDate } } }
+                  ... on Commit { committedDate }
+                }
+              }
+            }
+          }
+        }
+      `, { owner, name, cursor });
+
+            pages++;
+            const { nodes, pageInfo } = repository.refs;
+            const dated = nodes.map(ref => ({
+                name: ref.name,
+                date: (ref.target.tagger && ref.target.tagger.date) || ref.target.committedDate || (ref.target.target && ref.target.target.committedDate),
+            }));
+            tags.push(...dated.filter(tag => inPeriod(tag.date, period)));
+            // Ordered by commit date, so once those are older than the period only older tags follow
+            hasNextPage = pageInfo.hasNextPage && dated.every(tag => !tag.date || tag.date >= period.start);
+            cursor = pageInfo.endCursor;
+
+            if (hasNextPage && pages >= maxHistoryPages) {
+                console.warn(`Reached MAX_HISTORY_PAGES (${maxHistoryPages}) for tags of ${repoName}, some tags may be missing.`);
+            }
+        }
+    } catch (e) {
+        console.warn(`Error fetching tags of ${repoName}, returning what was fetched so far`, e.message);
+    }
+
+    return tags.map(tag => ({
+        ...tag,
+        repository: repoName,
+        url: `${github.serverUrl}/${repoName}/releases/tag/${encodeURIComponent(tag.name)}`,
+    }));
+};
+
+/**
+ * Commits on the default branch in the period, each with the PRs GitHub associates
+ * with it, so commits pushed without a PR can be told apart.
+ */
+const fetchDefaultBranchCommits = async (github, repoName, period, { maxHistoryPages = 10 } = {}) => {
+    const [owner, name] = repoName.split("/");
+    const commits = [];
+    let cursor = null;
+    let hasNextPage = true;
+    let pages = 0;
+
+    try {
+        while (hasNextPage && pages < maxHistoryPages) {
+            const { repository } = await github.graphql(`
+        query($owner: String!, $name: String!, $since: GitTimestamp!, $until: GitTimestamp!, $cursor: String) {
+          repository(owner: $owner, name: $name) {
+            defaultBranchRef {
+              target {
+                ... on Commit {
+                  history(first: 100, since: $since, until: $until, after: $cursor) {
+                    pageInfo { hasNextPage endCursor }
+                    nodes {
+                      oid
+                      abbreviatedOid
+                      messageHeadline
+                      url
+                      committedDate
+                      author { name user { login url } }
+                      associatedPullRequests(first: 5) { nodes { url } }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      `, { owner, name, since: period.start, until: period.end, cursor });
+
+            pages++;
+            if (!repository.defaultBranchRef) break;
+            const { nodes, pageInfo } = repository.defaultBranchRef.target.history;
+            commits.push(...nodes);
+            ({ hasNextPage, endCursor: cursor } = pageInfo);
+
+            if (hasNextPage && pages >= maxHistoryPages) {
+                console.warn(`Reached MAX_HISTORY_PAGES (${maxHistoryPages}) for commits of ${repoName}, some direct commits may be missing.`);
+            }
+        }
+    } catch (e) {
+        console.warn(`Error fetching commits of ${repoName}, returning what was fetched so far`, e.message);
+    }
+
+    return commits.map(c => ({ ...c, repository: repoName }));
+};
+
+module.exports = { createGitHubClient, resolveSourceRepos, fetchItems, fetchReleases, fetchTags, fetchDefaultBranchCommits };
@@ -0,0 +1,120 @@
+// Grounding check for AI summaries: the files and code identifiers a summary mentions
+// have to show up in the PR's changed files, diff preview, title or description.
+
+const FILE_EXTENSIONS = "jsx?|tsx?|mjs|cjs|json|ya?ml|md|css|scss|html?|hbs|py|go|rs|java|kt|rb|php|sh|toml|vue|svelte";
+const FILE_PATH = new RegExp(`(?:[\\w.-]+\\/)*[\\w-]+(?:\\.[\\w-]+)*\\.(?:${FILE_EXTENSIONS})\\b`, "g");
+const CAMEL_CASE = /\b[a-z][a-z0-9]*[A-Z][a-z0-9]+(?:[A-Z][a-z0-9]*)*\b/g;
+const SNAKE_CASE = /\b[a-z][a-z0-9]*(?:_[a-z0-9]+)+\b/g;
+const CALL = /\b([A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*)\(\)/g;
+const CODE_SPAN = /`([^`]+)`/g;
+const URL = /\bhttps?:\/\/\S+/g;
+
+// "Node.js", "Next.js": capitalised `.js` names without a directory are products, not files.
+// Other capitalised names (`SidePanel.tsx`, `README.md`) are checked like any file.
+const isProductName = (file) => /^[A-Z][A-Za-z0-9]*\.js$/.test(file);
+
+/**
+ * Files and identifiers a summary refers to: code spans, file paths, camelCase and
+ * snake_case names and calls like `init()`. Plain words are never references.
+ */
+const extractReferences = (summary) => {
+    const text = summary.replace(URL, " ");
+    const files = new Set();
+    const identifiers = new Set();
+
+    for (const [, code] of text.matchAll(CODE_SPAN)) {
+        const reference = code.trim().replace(/\(.*\)$/, "");
+        if (reference.includes("/") || new RegExp(`^${FILE_PATH.source}$`).test(reference)) files.add(reference);
+        else if (/^[A-Za-z_$][\w$.]{2,}$/.test(reference)) identifiers.add(reference);
+    }
+
+    const prose = text.replace(CODE_SPAN, " ");
+    for (const [file] of prose.matchAll(FILE_PATH)) {
+        if (!isProductName(file)) files.add(file);
+    }
+    for (const [name] of prose.matchAll(CAMEL_CASE)) identifiers.add(name);
+    for (const [name] of prose.matchAll(SNAKE_CASE)) identifiers.add(name);
+    for (const [, name] of prose.matchAll(CALL)) identifiers.add(name);
+
+    return { files: [...files], identifiers: [...identifiers] };
+};
+
+const basename = (file) => file.split("/").pop();
+
+/**
+ * References in `pr.aiSummary` that the PR doesn't support. Files match a changed file
+ * by path suffix or name, identifiers (or each part of a dotted one) must appear in the
+ * diff preview, the changed paths, the title or the description.
+ */
+const findUngroundedReferences = (pr) => {
+    const changedFiles = pr.changedFiles || [];
+    const sources = [pr.diffContext || "", changedFiles.join("\n"), pr.title, pr.body || ""].join("\n");
+
+    const { files, identifiers } = extractReferences(pr.aiSummary);
+    const missingFiles = files.filter(file =>
+        !changedFiles.some(changed => changed.endsWith(file) || basename(changed) === basename(file)) && !sources.includes(file));
+    const missingIdentifiers = identifiers.filter(name =>
+        !sources.includes(name) && !name.split(".").every(part => sources.includes(part)));
+
+    return [...missingFiles, ...missingIdentifiers];
+};
+
+/**
+ * Checks every AI summary of `prs` and handles the ones naming things the PR doesn't
+ * contain according to `onFailure`:
+ * - "regenerate": asks again via `regenerate(prs)`, telling the model what to leave out,
+ *   and falls back to the description when the new summary fails too,
+ * - "fallback": drops the summary, so the description snippet is used,
+ * - "mark": keeps it, the report adds an "unverified" note (see `pr.ungroundedReferences`).
+ * Returns { checked, flagged: [{ url, title, references, action }] }.
+ */
+const verifySummaries = async (prs, { onFailure, regenerate }) => {
+    const summarized = prs.filter(pr => pr.aiSummary);
+    const flagged = summarized
+        .map(pr => ({ pr, references: findUngroundedReferences(pr) }))
+        .filter(entry => entry.references.length > 0);
+
+    if (onFailure === "regenerate" && flagged.length > 0) {
+        for (const { pr, references } of flagged) {
+            pr.ungroundedReferences = references;
+            delete pr.aiSummary;
+        }
+        await regenerate(flagged.map(entry => entry.pr));
+    }
+
+    const results = flagged.map(({ pr, references }) => {
+        if (onFailure === "mark") {
+            pr.ungroundedReferences = references;
+            return { url: pr.url, title: pr.title, references, action: "marked" };
+        }
+
+        const remaining = onFailure === "regenerate" && pr.aiSummary ? findUngroundedReferences(pr) : references;
+        delete pr.ungroundedReferences;
+        if (onFailure === "regenerate" && pr.aiSummary && remaining.length === 0) {
+            return { url: pr.url, title: pr.title, references, action: "regenerated" };
+        }
+        delete pr.aiSummary;
+        return { url: pr.url, title: pr.title, references: remaining, action: "fallback" };
+    });
+
+    console.log(`Grounding check: ${flagged.length} of ${summarized.length} AI summaries mentioned files or identifiers not found in the changes.`);
+    return { checked: summarized.length, flagged: results };
+};
+
+const ACTIONS = {
+    regenerated: "regenerated",
+    fallback: "replaced by the description",
+    marked: "kept, marked as unverified",
+};
+
+// The flagged summaries, for the dry-run log
+const logFlaggedSummaries = (grounding) => {
+    if (!grounding || grounding.flagged.length === 0) return;
+
+    console.log(`Grounding check flagged ${grounding.flagged.length} of ${grounding.checked} AI summaries:`);
+    for (const entry of grounding.flagged) {
+        console.log(`  - ${entry.url} (${entry.title}): ${entry.references.join(", ")}, ${ACTIONS[entry.action]}`);
+    }
+};
+
+module.exports = { verifySummaries, findUngroundedReferences, extractReferences, logFlaggedSummaries };
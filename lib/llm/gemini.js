@@ -0,0 +1,19 @@
+const DEFAULT_MODEL = "gemini-2.0-flash";
+
+// Google Gemini through the official SDK. `endpoint` overrides the API base URL (e.g. a proxy).
+const createGeminiProvider = ({ apiKey, model = DEFAULT_MODEL, endpoint }) => {
+    const { GoogleGenerativeAI } = require("@google/generative-ai");
+    const genAI = new GoogleGenerativeAI(apiKey);
+    const generativeModel = genAI.getGenerativeModel({ model }, endpoint ? { baseUrl: endpoint } : undefined);
+
+    return {
+        name: "gemini",
+        model,
+        generate: async (prompt) => {
+            const result = await generativeModel.generateContent(prompt);
+            return result.response.text();
+        },
+    };
+};
+
+module.exports = { createGeminiProvider };
@@ -0,0 +1,42 @@
+const { createGeminiProvider } = require("./gemini");
+const { createOpenAIProvider } = require("./openai");
+const { createStubProvider } = require("./stub");
+
+const PROVIDERS = {
+    gemini: { create: createGeminiProvider, apiKeyEnv: "GEMINI_API_KEY", requiresKey: true },
+    openai: { create: createOpenAIProvider, apiKeyEnv: "OPENAI_API_KEY", requiresKey: false },
+    stub: { create: createStubProvider, apiKeyEnv: null, requiresKey: false },
+};
+
+/**
+ * Builds the LLM provider selected by the `llm` config section, with
+ * LLM_PROVIDER / LLM_MODEL / LLM_ENDPOINT env overrides.
+ *
+ * Every provider exposes `{ name, model, generate(prompt, { task, ... }) => Promise<string> }`.
+ * Returns null when the provider needs an API key that is not set, so callers
+ * can fall back to the heuristic (non-AI) summaries.
+ */
+const createProvider = (llmConfig = {}) => {
+    const name = (process.env.LLM_PROVIDER || llmConfig.provider || "gemini").toLowerCase();
+    const definition = PROVIDERS[name];
+    if (!definition) {
+        throw new Error(`Unknown LLM provider "${name}" (expected one of: ${Object.keys(PROVIDERS).join(", ")})`);
+    }
+
+    const apiKeyEnv = llmConfig.apiKeyEnv || definition.apiKeyEnv;
+    const apiKey = apiKeyEnv ? process.env[apiKeyEnv] : undefined;
+    if (definition.requiresKey && !apiKey) {
+        console.warn(`${apiKeyEnv} not found, AI summaries are disabled.`);
+        return null;
+    }
+
+    const options = { apiKey };
+    const model = process.env.LLM_MODEL || llmConfig.model;
+    const endpoint = process.env.LLM_ENDPOINT || llmConfig.endpoint;
+    if (model) options.model = model;
+    if (endpoint) options.endpoint = endpoint;
+
+    return definition.create(options);
+};
+
+module.exports = { createProvider, PROVIDER_NAMES: Object.keys(PROVIDERS) };
@@ -0,0 +1,34 @@
+const DEFAULT_MODEL = "gpt-4o-mini";
+const DEFAULT_ENDPOINT = "https://api.openai.com/v1";
+
+// Any OpenAI-compatible Chat Completions API (OpenAI, Azure-style proxies, Ollama, vLLM, LM Studio...)
+const createOpenAIProvider = ({ apiKey, model = DEFAULT_MODEL, endpoint = DEFAULT_ENDPOINT }) => {
+    const url = `${endpoint.replace(/\/+$/, "")}/chat/completions`;
+
+    return {
+        name: "openai",
+        model,
+        generate: async (prompt) => {
+            const headers = { "Content-Type": "application/json" };
+            if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+            const response = await fetch(url, {
+                method: "POST",
+                headers,
+                body: JSON.stringify({
+                    model,
+                    messages: [{ role: "user", content: prompt }],
+                }),
+            });
+
+            if (!response.ok) {
+                throw new Error(`${url} responded ${response.status} ${response.statusText}`);
+            }
+
+            const data = await response.json();
+            return data.choices[0].message.content;
+        },
+    };
+};
+
+module.exports = { createOpenAIProvider };
@@ -0,0 +1,25 @@
+// Deterministic offline provider. Returns canned text shaped like the real responses,
+// so the whole pipeline can run in CI without network access or API keys.
+const createStubProvider = ({ model = "stub" } = {}) => ({
+    name: "stub",
+    model,
+    generate: async (prompt, { task, titles = [] } = {}) => {
+        if (task === "pr-summaries") {
+            return JSON.stringify({
+                summaries: titles.map((title, index) => ({
+                    index,
+                    summary: `Stub summary for "${title}".`,
+                })),
+            });
+        }
+        if (task === "release-notes") {
+            return `Stub summary of the ${titles[0]} release notes.`;
+        }
+        if (task === "overview") {
+            return "Highlights include steady progress across the merged pull requests (stub summary).";
+        }
+        return "Stub response.";
+    },
+});
+
+module.exports = { createStubProvider };
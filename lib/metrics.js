@@ -0,0 +1,173 @@
+// Per-period metrics, a JSON history of them across runs, and the "By the numbers"
+// comparison with the previous period of the same cadence.
+
+const fs = require("fs");
+const path = require("path");
+const { formatInTimeZone } = require("date-fns-tz");
+const { inPeriod } = require("./period");
+
+const HISTORY_VERSION = 1;
+const HOUR_MS = 60 * 60 * 1000;
+const SPARK_BARS = "▁▂▃▄▅▆▇█";
+
+const hoursBetween = (from, to) => (new Date(to) - new Date(from)) / HOUR_MS;
+
+const median = (values) => {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    const value = sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    return Math.round(value * 10) / 10;
+};
+
+// Label and unit of each metric, in table order
+const METRICS = [
+    { key: "prsMerged", label: "PRs merged", unit: "count" },
+    { key: "medianHoursToMerge", label: "Median time to merge", unit: "hours" },
+    { key: "medianHoursToFirstReview", label: "Median time to first review", unit: "hours" },
+    { key: "issuesOpened", label: "Issues opened", unit: "count" },
+    { key: "issuesClosed", label: "Issues closed", unit: "count" },
+    { key: "activeContributors", label: "Active contributors", unit: "count" },
+];
+
+/**
+ * Metrics of one period from the fetched items. Durations are in hours (null
+ * when nothing qualified); time to first review covers PRs whose first review
+ * by someone other than the author landed in the period.
+ */
+const computeMetrics = ({ prs, issues, contributors, period }) => {
+    const merged = prs.filter(pr => inPeriod(pr.mergedAt, period));
+
+    const firstReviewHours = [];
+    for (const pr of prs) {
+        const reviews = (pr.reviews ? pr.reviews.nodes : [])
+            .filter(r => r.author && (!pr.author || r.author.login !== pr.author.login) && r.submittedAt)
+            .map(r => r.submittedAt)
+            .sort();
+        if (reviews.length > 0 && inPeriod(reviews[0], period)) {
+            firstReviewHours.push(hoursBetween(pr.createdAt, reviews[0]));
+        }
+    }
+
+    return {
+        prsMerged: merged.length,
+        medianHoursToMerge: median(merged.map(pr => hoursBetween(pr.createdAt, pr.mergedAt))),
+        medianHoursToFirstReview: median(firstReviewHours),
+        issuesOpened: issues.filter(issue => inPeriod(issue.createdAt, period)).length,
+        issuesClosed: issues.filter(issue => inPeriod(issue.closedAt, period)).length,
+        activeContributors: contributors.filter(c => c.active).length,
+    };
+};
+
+const formatHours = (hours) => (Math.abs(hours) < 48 ? `${Math.round(hours * 10) / 10} h` : `${Math.round((hours / 24) * 10) / 10} days`);
+
+const formatValue = (value, unit) => {
+    if (value === null || value === undefined) return "—";
+    return unit === "hours" ? formatHours(value) : String(value);
+};
+
+const formatDelta = (current, previous, unit) => {
+    if (current === null || current === undefined || previous === null || previous === undefined) return "—";
+    const delta = Math.round((current - previous) * 10) / 10;
+    if (delta === 0) return "=";
+    return `${delta > 0 ? "▲" : "▼"} ${unit === "hours" ? formatHours(Math.abs(delta)) : Math.abs(delta)}`;
+};
+
+// ASCII sparkline scaled to the series' own range; gaps (no data) show as a space
+const sparkline = (values) => {
+    const known = values.filter(v => v !== null && v !== undefined);
+    if (known.length < 2) return null;
+    const min = Math.min(...known);
+    const max = Math.max(...known);
+    return values.map(v => {
+        if (v === null || v === undefined) return " ";
+        const level = max === min ? 3 : Math.round(((v - min) / (max - min)) * (SPARK_BARS.length - 1));
+        return SPARK_BARS[level];
+    }).join("");
+};
+
+// Mermaid bar chart of PRs merged per period (GitHub renders ```mermaid blocks)
+const mermaidChart = (entries, { timezone }) => {
+    if (entries.length < 2) return null;
+    const labels = entries.map(e => `"${formatInTimeZone(new Date(e.start), timezone, e.cadence === "monthly" ? "MMM yyyy" : "MMM d")}"`);
+    return [
+        "xychart-beta",
+        `    title "PRs merged per ${entries[entries.length - 1].noun}"`,
+        `    x-axis [${labels.join(", ")}]`,
+        `    y-axis "PRs merged"`,
+        `    bar [${entries.map(e => e.metrics.prsMerged).join(", ")}]`,
+    ].join("\n");
+};
+
+// Entries are only comparable for the same cadence and set of repositories
+const sameSeries = (entry, { cadence, repositories }) =>
+    entry.cadence === cadence && entry.repositories.join(",") === [...repositories].sort().join(",");
+
+const toHistoryEntry = ({ period, repositories, metrics }) => ({
+    start: period.start,
+    end: period.end,
+    cadence: period.cadence,
+    noun: period.noun,
+    repositories: [...repositories].sort(),
+    metrics,
+});
+
+/**
+ * The "By the numbers" model: one row per metric with its value, the change from
+ * the latest earlier period in `history` and, with `sparkline: "ascii"`, a trend
+ * over the last `trendPeriods` periods. `sparkline: "mermaid"` adds a chart instead.
+ */
+const buildMetricsSummary = (metrics, history, { period, repositories, sparkline: style = "none", trendPeriods = 8 }) => {
+    const current = toHistoryEntry({ period, repositories, metrics });
+    const earlier = history
+        .filter(entry => sameSeries(entry, current) && entry.end <= period.start)
+        .sort((a, b) => (a.end < b.end ? -1 : 1));
+    const previous = earlier.length > 0 ? earlier[earlier.length - 1] : null;
+    const series = [...earlier.slice(-(trendPeriods - 1)), current];
+
+    const rows = METRICS.map(({ key, label, unit }) => ({
+        key,
+        label,
+        value: formatValue(metrics[key], unit),
+        delta: formatDelta(metrics[key], previous ? previous.metrics[key] : null, unit),
+        trend: style === "ascii" ? sparkline(series.map(entry => entry.metrics[key])) : null,
+    }));
+
+    return {
+        current: metrics,
+        previousPeriod: previous ? { start: previous.start, end: previous.end } : null,
+        rows,
+        hasTrend: rows.some(row => row.trend),
+        chart: style === "mermaid" ? mermaidChart(series, { timezone: period.timezone }) : null,
+    };
+};
+
+// { version, periods: [...] }, empty when the file doesn't exist yet
+const loadHistory = (file) => {
+    if (!fs.existsSync(file)) return { version: HISTORY_VERSION, periods: [] };
+
+    const history = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (!history || !Array.isArray(history.periods)) {
+        throw new Error(`${file} is not a metrics history file (expected a "periods" array).`);
+    }
+    return history;
+};
+
+// Adds (or, when re-run, replaces) the report's period and writes the file
+const saveHistory = (file, history, report) => {
+    const entry = toHistoryEntry({
+        period: report.period,
+        repositories: report.repositories.map(repo => repo.name),
+        metrics: report.metrics.current,
+    });
+    const periods = history.periods
+        .filter(e => !(sameSeries(e, entry) && e.start === entry.start && e.end === entry.end))
+        .concat(entry)
+        .sort((a, b) => (a.end < b.end ? -1 : a.end > b.end ? 1 : 0));
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({ version: HISTORY_VERSION, periods }, null, 2) + "\n");
+    return periods.length;
+};
+
+module.exports = { computeMetrics, buildMetricsSummary, loadHistory, saveHistory };
@@ -0,0 +1,82 @@
+// Posts the report to GitHub Discussions in GITHUB_REPOSITORY, updating/skipping
+// an existing discussion for the same period according to ON_EXISTING.
+const createDiscussionSink = ({ graphql, config, onExisting, render }) => ({
+    name: "discussion",
+    render,
+    publish: async (report, body) => {
+        const targetRepo = process.env.GITHUB_REPOSITORY;
+        if (!targetRepo) throw new Error("GITHUB_REPOSITORY env var not set");
+
+        const [currentOwner, currentRepo] = targetRepo.split("/");
+
+        const { repository } = await graphql(`
+    query($owner: String!, $repo: String!) {
+      repository(owner: $owner, name: $repo) {
+        id
+        discussionCategories(first: 10) { nodes { id name } }
+      }
+    }
+  `, { owner: currentOwner, repo: currentRepo });
+
+        const repoId = repository.id;
+        const categories = repository.discussionCategories.nodes;
+        let category = categories.find(c => c.name.toLowerCase() === config.discussionCategory.toLowerCase()) || categories[0];
+
+        if (!category) throw new Error("No discussion categories found.");
+
+        console.log(`Posting to Category: ${category.name}`);
+
+        if (onExisting !== "create") {
+            const { repository: { discussions } } = await graphql(`
+    query($owner: String!, $repo: String!, $categoryId: ID!) {
+      repository(owner: $owner, name: $repo) {
+        discussions(first: 50, categoryId: $categoryId, orderBy: {field: CREATED_AT, direction: DESC}) {
+          nodes { id title url body }
+        }
+      }
+    }
+  `, { owner: currentOwner, repo: currentRepo, categoryId: category.id });
+
+            const existing = discussions.nodes.find(d => d.title === report.title || d.body.includes(report.marker));
+
+            if (existing && onExisting === "skip") {
+                console.log(`Discussion already exists, skipping (ON_EXISTING=skip): ${existing.url}`);
+                return;
+            }
+
+            if (existing) {
+                const { updateDiscussion } = await graphql(`
+    mutation($discussionId: ID!, $title: String!, $body: String!) {
+      updateDiscussion(input: {discussionId: $discussionId, title: $title, body: $body}) {
+        discussion { url }
+      }
+    }
+  `, {
+                    discussionId: existing.id,
+                    title: report.title,
+                    body: body
+                });
+
+                console.log(`Discussion updated: ${updateDiscussion.discussion.url}`);
+                return;
+            }
+        }
+
+        const { createDiscussion } = await graphql(`
+    mutation($repositoryId: ID!, $categoryId: ID!, $title: String!, $body: String!) {
+      createDiscussion(input: {repositoryId: $repositoryId, categoryId: $categoryId, title: $title, body: $body}) {
+        discussion { url }
+      }
+    }
+  `, {
+            repositoryId: repoId,
+            categoryId: category.id,
+            title: report.title,
+            body: body
+        });
+
+        console.log(`Discussion created: ${createDiscussion.discussion.url}`);
+    },
+});
+
+module.exports = { createDiscussionSink };
@@ -0,0 +1,19 @@
+const fs = require("fs");
+const path = require("path");
+const { formatInTimeZone } = require("date-fns-tz");
+
+// Writes the rendered report to <dir>/YYYY-MM-DD.<extension>, named after the period's last day in its
+// timezone (the end is exclusive), the day the title and the hidden marker end on as well
+const createFileSink = ({ name, dir, extension, render }) => ({
+    name,
+    render,
+    publish: async (report, content) => {
+        const lastDay = new Date(new Date(report.period.end).getTime() - 1);
+        const file = path.join(dir, `${formatInTimeZone(lastDay, report.period.timezone, "yyyy-MM-dd")}.${extension}`);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, content);
+        console.log(`Wrote ${file}`);
+    },
+});
+
+module.exports = { createFileSink };
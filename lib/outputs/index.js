@@ -0,0 +1,63 @@
+const { createDiscussionSink } = require("./discussion");
+const { createFileSink } = require("./file");
+const { createWebhookSink, WEBHOOK_FORMATS } = require("./webhook");
+const { createMarkdownRenderer } = require("../render/markdown");
+const { createHtmlRenderer } = require("../render/html");
+
+const SINKS = {
+    discussion: (context) => createDiscussionSink({ ...context, render: createMarkdownRenderer(context.config.templates.markdown) }),
+    markdown: ({ config }) => createFileSink({ name: "markdown", dir: config.outputs.markdown.dir, extension: "md", render: createMarkdownRenderer(config.templates.markdown) }),
+    html: ({ config }) => createFileSink({ name: "html", dir: config.outputs.html.dir, extension: "html", render: createHtmlRenderer(config.templates.html) }),
+    webhook: ({ config }) => createWebhookSink({ ...config.outputs.webhook, renderMarkdown: createMarkdownRenderer(config.templates.markdown) }),
+};
+
+/**
+ * Resolves the selected sinks (OUTPUTS env, comma separated, overrides `outputs.targets`).
+ * Each sink is `{ name, render(report) => string, publish(report, rendered) }`.
+ */
+const createSinks = (context) => {
+    const names = process.env.OUTPUTS
+        ? process.env.OUTPUTS.split(",").map(n => n.trim().toLowerCase()).filter(Boolean)
+        : context.config.outputs.targets;
+
+    return [...new Set(names)].map(name => {
+        if (!SINKS[name]) {
+            throw new Error(`Unknown output "${name}" (expected one of: ${Object.keys(SINKS).join(", ")})`);
+        }
+        return SINKS[name](context);
+    });
+};
+
+/**
+ * Renders and publishes the report to every sink. In dry-run mode the renderings
+ * are only logged. A failing sink doesn't stop the others, but fails the run.
+ */
+const publishReport = async (report, sinks, { dryRun }) => {
+    const failures = [];
+
+    for (const sink of sinks) {
+        const rendered = sink.render(report);
+
+        if (dryRun) {
+            console.log("---------------------------------------------------");
+            console.log(`DRY RUN MODE ENABLED. Generated ${sink.name} output:`);
+            console.log("---------------------------------------------------");
+            console.log(rendered);
+            console.log("---------------------------------------------------");
+            continue;
+        }
+
+        try {
+            await sink.publish(report, rendered);
+        } catch (error) {
+            console.error(`Output "${sink.name}" failed:`, error.message);
+            failures.push(sink.name);
+        }
+    }
+
+    if (failures.length > 0) {
+        throw new Error(`Failed to publish to: ${failures.join(", ")}`);
+    }
+};
+
+module.exports = { createSinks, publishReport, OUTPUT_NAMES: Object.keys(SINKS), WEBHOOK_FORMATS };
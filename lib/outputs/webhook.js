@@ -0,0 +1,34 @@
+const { renderSlack, renderDiscord } = require("../render/chat");
+
+const FORMATS = {
+    slack: renderSlack,
+    discord: renderDiscord,
+    // Anything else gets the report data plus the Markdown body and decides for itself
+    generic: (report, renderMarkdown) => ({ title: report.title, markdown: renderMarkdown(report), report }),
+};
+
+// POSTs a Slack, Discord or generic JSON payload to the URL held in `urlEnv`
+const createWebhookSink = ({ format, urlEnv, renderMarkdown }) => {
+    const render = (report) => FORMATS[format](report, renderMarkdown);
+
+    return {
+        name: "webhook",
+        render: (report) => JSON.stringify(render(report), null, 2),
+        publish: async (report, payload) => {
+            const url = process.env[urlEnv];
+            if (!url) throw new Error(`${urlEnv} env var not set, cannot post to the ${format} webhook`);
+
+            const response = await fetch(url, {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: payload,
+            });
+            if (!response.ok) {
+                throw new Error(`${format} webhook responded ${response.status} ${response.statusText}`);
+            }
+            console.log(`Posted roundup to the ${format} webhook.`);
+        },
+    };
+};
+
+module.exports = { createWebhookSink, WEBHOOK_FORMATS: Object.keys(FORMATS) };
@@ -0,0 +1,114 @@
+const { formatInTimeZone, fromZonedTime } = require("date-fns-tz");
+
+// How each cadence is described in titles, prompts and templates
+const CADENCES = {
+    weekly: { days: 7, noun: "week", adjective: "weekly" },
+    biweekly: { days: 14, noun: "fortnight", adjective: "fortnightly" },
+    monthly: { noun: "month", adjective: "monthly" },
+    custom: { noun: "period", adjective: "periodic" },
+};
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const CUSTOM_RANGE = /^(\d{4}-\d{2}-\d{2})\.\.(\d{4}-\d{2}-\d{2})$/;
+
+// Whether an ISO timestamp (possibly null) falls within the resolved `period`
+const inPeriod = (date, period) => Boolean(date) && date >= period.start && date <= period.end;
+
+// The instant at wall-clock `date` (yyyy-MM-dd) `time` (HH:mm) in `timezone`
+const zonedInstant = (date, time, timezone) => fromZonedTime(`${date}T${time}:00`, timezone);
+
+// Calendar arithmetic on yyyy-MM-dd strings, so the runner's own timezone never leaks in
+const shiftDate = (date, { days = 0, months = 0 }) => {
+    const [year, month, day] = date.split("-").map(Number);
+    return new Date(Date.UTC(year, month - 1 + months, day + days)).toISOString().slice(0, 10);
+};
+
+const assertTimezone = (timezone) => {
+    try {
+        new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    } catch (e) {
+        throw new Error(`Unknown timezone "${timezone}" (expected an IANA name such as "Asia/Kolkata" or "UTC").`);
+    }
+};
+
+/**
+ * The moment the roundup is generated for. A bare DATE_OVERRIDE date simulates
+ * the scheduled run on that day, i.e. at `cutoffTime` in `timezone`.
+ */
+const resolveRunDate = (override, { timezone, cutoffTime }) => {
+    if (!override) return new Date();
+
+    assertTimezone(timezone);
+    const date = DATE_ONLY.test(override) ? zonedInstant(override, cutoffTime, timezone) : new Date(override);
+    if (isNaN(date)) {
+        throw new Error(`DATE_OVERRIDE "${override}" is not a valid date.`);
+    }
+    return date;
+};
+
+// [startDate, endDate) of the most recent complete window before `now`
+const resolveWindow = (now, period, { timezone, cutoffTime }) => {
+    const custom = CUSTOM_RANGE.exec(period);
+    if (custom) {
+        const [, from, to] = custom;
+        if (from > to) {
+            throw new Error(`Custom period "${period}" ends before it starts.`);
+        }
+        // Both dates are inclusive, so the window runs until midnight after `to`
+        return { cadence: "custom", startDate: zonedInstant(from, "00:00", timezone), endDate: zonedInstant(shiftDate(to, { days: 1 }), "00:00", timezone) };
+    }
+
+    const today = formatInTimeZone(now, timezone, "yyyy-MM-dd");
+
+    if (period === "monthly") {
+        // The previous calendar month
+        const monthStart = `${today.slice(0, 7)}-01`;
+        return { cadence: "monthly", startDate: zonedInstant(shiftDate(monthStart, { months: -1 }), "00:00", timezone), endDate: zonedInstant(monthStart, "00:00", timezone) };
+    }
+
+    if (period === "weekly" || period === "biweekly") {
+        // Ends at the latest cutoff that has passed, so a delayed scheduled run still covers the same window
+        const endDay = zonedInstant(today, cutoffTime, timezone) <= now ? today : shiftDate(today, { days: -1 });
+        const startDay = shiftDate(endDay, { days: -CADENCES[period].days });
+        return { cadence: period, startDate: zonedInstant(startDay, cutoffTime, timezone), endDate: zonedInstant(endDay, cutoffTime, timezone) };
+    }
+
+    throw new Error(`Unknown period "${period}" (expected weekly, biweekly, monthly or a YYYY-MM-DD..YYYY-MM-DD range).`);
+};
+
+/**
+ * The reporting window for `period` (weekly, biweekly, monthly or a custom
+ * `YYYY-MM-DD..YYYY-MM-DD` range), aligned to `cutoffTime` / calendar months in
+ * `timezone`. Titles and the marker use the window's dates in that timezone.
+ */
+const resolvePeriod = (now, { period = "weekly", timezone = "UTC", cutoffTime = "00:00", titlePrefixes }) => {
+    assertTimezone(timezone);
+    const { cadence, startDate, endDate } = resolveWindow(now, period.trim().toLowerCase(), { timezone, cutoffTime });
+    const { noun, adjective } = CADENCES[cadence];
+
+    // The window's end is exclusive, so the last day covered is the one just before it
+    const lastDay = new Date(endDate.getTime() - 1);
+    const formatDay = (date, pattern) => formatInTimeZone(date, timezone, pattern);
+
+    // Title format: "<titlePrefix> | start date - end date" (or "<titlePrefix> | month year")
+    const titleDateRange = cadence === "monthly"
+        ? formatDay(startDate, "MMMM yyyy")
+        : `${formatDay(startDate, "d MMMM yyyy")} - ${formatDay(lastDay, "d MMMM yyyy")}`;
+
+    return {
+        cadence,
+        noun,
+        adjective,
+        timezone,
+        startDate,
+        endDate,
+        // Use full ISO strings for precise filtering
+        start: startDate.toISOString(),
+        end: endDate.toISOString(),
+        title: `${titlePrefixes[cadence]} | ${titleDateRange}`,
+        // Hidden marker embedded in the body so re-runs can find the discussion even if its title was edited
+        marker: `<!-- roundup-period: ${formatDay(startDate, "yyyy-MM-dd")}..${formatDay(lastDay, "yyyy-MM-dd")} -->`,
+    };
+};
+
+module.exports = { resolvePeriod, resolveRunDate, inPeriod, assertTimezone };
@@ -0,0 +1,40 @@
+// Local preview of the discussion: the Markdown body rendered by GitHub's own Markdown API,
+// framed like a discussion and served on localhost so the <details> layout can be reviewed.
+
+const http = require("http");
+const { createMarkdownRenderer } = require("./render/markdown");
+const { compileTemplate } = require("./render/template");
+
+const renderPage = compileTemplate("preview.html.hbs");
+
+// Full HTML page of the discussion `report` would be posted as
+const renderPreview = async (report, { github, config }) => {
+    const markdown = createMarkdownRenderer(config.templates.markdown)(report);
+    // The first repository resolves #123 references and @mentions like the discussion would
+    const context = report.repositories.length > 0 ? report.repositories[0].name : undefined;
+    const body = await github.renderMarkdown(markdown, { context });
+    return renderPage({ title: report.title, category: config.discussionCategory, body });
+};
+
+/**
+ * Serves `page` at / on `host`:`port` (0 picks a free port) until closed.
+ * Resolves with { url, close }.
+ */
+const startPreviewServer = (page, { port = 4000, host = "127.0.0.1" } = {}) => new Promise((resolve, reject) => {
+    const server = http.createServer((req, res) => {
+        if (req.method !== "GET" || req.url !== "/") {
+            res.writeHead(404, { "Content-Type": "text/plain" });
+            return res.end("Not Found");
+        }
+        res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+        res.end(page);
+    });
+
+    server.once("error", reject);
+    server.listen(port, host, () => {
+        const url = `http://${host === "127.0.0.1" ? "localhost" : host}:${server.address().port}/`;
+        resolve({ url, close: () => new Promise(done => server.close(done)) });
+    });
+});
+
+module.exports = { renderPreview, startPreviewServer };
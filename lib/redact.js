@@ -0,0 +1,167 @@
+// Redaction of secrets and personal data in everything that goes into an LLM prompt
+// (PR descriptions, diff previews, release notes), plus the per-run record of it.
+
+const { labelNames } = require("./categorize");
+
+// Well-known credential formats, applied in order (assignments skip values already
+// redacted by a more specific pattern). `keep` is the group left in place.
+const SECRET_PATTERNS = [
+    { kind: "private-key", regex: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?(?:-----END [A-Z ]*PRIVATE KEY-----|$)/g },
+    { kind: "github-token", regex: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b/g },
+    { kind: "aws-access-key", regex: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+    { kind: "google-api-key", regex: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+    { kind: "slack-token", regex: /\bxox[abposr]-[A-Za-z0-9-]{10,}\b/g },
+    { kind: "stripe-key", regex: /\b[rs]k_(?:live|test)_[0-9A-Za-z]{16,}\b/g },
+    { kind: "jwt", regex: /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g },
+    { kind: "bearer-token", regex: /(\bBearer\s+)[A-Za-z0-9._~+/-]{16,}=*/g, keep: 1 },
+    // user:password@ in URLs, the scheme and host stay readable
+    { kind: "url-credentials", regex: /(\b[a-z][a-z0-9+.-]*:\/\/)[^\s:@/]+:[^\s@/]+(?=@)/gi, keep: 1 },
+    // KEY=value lines as found in .env files, shell scripts and CI configs
+    { kind: "secret-assignment", regex: /^([+\- ]?\s*(?:export\s+)?[A-Z0-9_]*(?:SECRET|TOKEN|PASSWORD|PASSWD|API_KEY|APIKEY|ACCESS_KEY|PRIVATE_KEY|CREDENTIALS?)[A-Z0-9_]*\s*=\s*)(?!\[REDACTED)["']?[^\s"']{6,}["']?\s*$/gm, keep: 1 },
+    // apiKey: "value", "password": "value", token = 'value' in code and config files
+    { kind: "secret-assignment", regex: /(["']?\b[A-Za-z0-9_.-]*(?:secret|token|passw(?:or)?d|api[_-]?key|access[_-]?key|private[_-]?key|credentials?)["']?\s*[:=]\s*)(["'])(?!\[REDACTED)[^"'\s]{6,}\2/gi, keep: 1 },
+];
+
+const EMAIL = /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}\b/g;
+
+// Candidates for the entropy check: long runs of token-like characters. Without `/`,
+// so paths and links are only ever looked at one segment at a time
+const TOKEN_CANDIDATE = /[A-Za-z0-9+_-]{20,}={0,2}/g;
+
+const marker = (kind) => `[REDACTED:${kind}]`;
+
+// Shannon entropy in bits per character
+const entropy = (text) => {
+    const counts = new Map();
+    for (const char of text) counts.set(char, (counts.get(char) || 0) + 1);
+    let bits = 0;
+    for (const count of counts.values()) {
+        const p = count / text.length;
+        bits -= p * Math.log2(p);
+    }
+    return bits;
+};
+
+// Random-looking: mixes letters and digits, and isn't a hex string (commit SHAs, colours)
+const looksRandom = (token, threshold) =>
+    /[A-Za-z]/.test(token) && /\d/.test(token) && !/^[0-9a-f]+$/i.test(token) && entropy(token) >= threshold;
+
+// Whether `offset` is inside a URL (`scheme://` earlier in the same whitespace-separated word).
+// Link segments (commit and PR paths, attachment UUIDs) are kept, so links stay intact.
+const insideUrl = (text, offset) => {
+    let start = offset;
+    while (start > 0 && !/\s/.test(text[start - 1])) start--;
+    return text.slice(start, offset).includes("://");
+};
+
+/**
+ * Glob to RegExp: `**` spans directories, `*` and `?` stay within one path segment.
+ * Globs without a slash match the file name in any directory, like .gitignore.
+ */
+const globToRegExp = (glob) => {
+    let source = "";
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === "*" && glob[i + 1] === "*") {
+            const slash = glob[i + 2] === "/";
+            source += slash ? "(?:.*/)?" : ".*";
+            i += slash ? 2 : 1;
+        } else if (char === "*") {
+            source += "[^/]*";
+        } else if (char === "?") {
+            source += "[^/]";
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+        }
+    }
+    return new RegExp(glob.includes("/") ? `^${source}$` : `(?:^|/)${source}$`);
+};
+
+/**
+ * Creates the redactor for one run from the `redaction` config. `redact(text, location)`
+ * replaces matches with [REDACTED:<kind>] markers, `excludesPath(path, location)` tells
+ * whether a changed file is kept out of prompts altogether. Both record what they did
+ * under `location` (an item URL) for `summary()`; the redacted values themselves are never kept.
+ */
+const createRedactor = (settings) => {
+    const rules = [
+        ...SECRET_PATTERNS,
+        ...(settings.emails ? [{ kind: "email", regex: EMAIL }] : []),
+        ...settings.patterns.map(pattern => ({ kind: "custom", regex: new RegExp(pattern, "g") })),
+    ];
+    const pathRules = settings.paths.map(glob => ({ glob, regex: globToRegExp(glob) }));
+
+    const redactions = new Map();
+    const excludedFiles = [];
+    const excludedPRs = [];
+
+    const record = (location, kind) => {
+        const key = `${location}|${kind}`;
+        const entry = redactions.get(key) || { location, kind, count: 0 };
+        entry.count++;
+        redactions.set(key, entry);
+    };
+
+    const redact = (text, location) => {
+        if (!settings.enabled || !text) return text;
+
+        let result = text;
+        for (const { kind, regex, keep } of rules) {
+            result = result.replace(regex, (...match) => {
+                record(location, kind);
+                return `${keep ? match[keep] : ""}${marker(kind)}`;
+            });
+        }
+        if (settings.highEntropy) {
+            result = result.replace(TOKEN_CANDIDATE, (token, offset, whole) => {
+                if (insideUrl(whole, offset) || !looksRandom(token, settings.entropyThreshold)) return token;
+                record(location, "high-entropy");
+                return marker("high-entropy");
+            });
+        }
+        return result;
+    };
+
+    const excludesPath = (filePath, location) => {
+        if (!settings.enabled) return false;
+        const rule = pathRules.find(r => r.regex.test(filePath));
+        if (rule) excludedFiles.push({ location, path: filePath, glob: rule.glob });
+        return Boolean(rule);
+    };
+
+    // Private repositories and PRs with an excluded label never reach the model
+    const excludesPR = (pr) => {
+        const labels = labelNames(pr).map(label => label.toLowerCase());
+        const reason = settings.excludePrivate && pr.repository.isPrivate
+            ? "private repository"
+            : settings.excludeLabels.find(label => labels.includes(label.toLowerCase()));
+        if (reason) excludedPRs.push({ location: pr.url, reason: reason === "private repository" ? reason : `label "${reason}"` });
+        return Boolean(reason);
+    };
+
+    const summary = () => {
+        const items = [...redactions.values()];
+        const byKind = {};
+        for (const item of items) byKind[item.kind] = (byKind[item.kind] || 0) + item.count;
+        return {
+            total: items.reduce((n, item) => n + item.count, 0),
+            byKind,
+            items,
+            excludedFiles: [...excludedFiles],
+            excludedPRs: [...excludedPRs],
+        };
+    };
+
+    return { redact, excludesPath, excludesPR, summary };
+};
+
+// The run's redaction report, one line per item so the workflow log shows where to look
+const logRedactionSummary = (summary) => {
+    const kinds = Object.entries(summary.byKind).map(([kind, count]) => `${kind}: ${count}`).join(", ");
+    console.log(`Redaction: ${summary.total} value(s) redacted${kinds ? ` (${kinds})` : ""}, ${summary.excludedFiles.length} file(s) and ${summary.excludedPRs.length} PR(s) kept from the LLM.`);
+    for (const item of summary.items) console.log(`  - ${item.location}: ${item.count} × ${item.kind}`);
+    for (const file of summary.excludedFiles) console.log(`  - ${file.location}: left out ${file.path} (matches "${file.glob}")`);
+    for (const pr of summary.excludedPRs) console.log(`  - ${pr.location}: not sent to the LLM (${pr.reason})`);
+};
+
+module.exports = { createRedactor, logRedactionSummary, globToRegExp, entropy };
@@ -0,0 +1,47 @@
+// Releases, tags and commits pushed straight to the default branch: activity the
+// issue/PR search never sees.
+
+// Release notes can be long changelogs, only the start is sent to the model
+const MAX_NOTES_CHARS = 4000;
+
+/**
+ * Sets `release.aiSummary` on every release with notes. The prompt uses the redacted
+ * `promptDescription` when there is one. Failures only cost that release its summary,
+ * rendering then falls back to a snippet of the notes.
+ */
+const summarizeReleaseNotes = async (llm, releases, { period, projectName }) => {
+    for (const release of releases) {
+        const notes = release.promptDescription ?? release.description;
+        if (!notes || !notes.trim()) continue;
+
+        const title = release.name || release.tagName;
+        const prompt = `
+            You are writing a ${period.adjective} newsletter for the "${projectName}" project.
+            Summarise the release notes of ${title} in 1-2 sentences, focusing on what changed for users.
+            Do not use markdown links.
+
+            Release notes:
+            ${notes.substring(0, MAX_NOTES_CHARS)}
+            `;
+
+        try {
+            const responseText = await llm.generate(prompt, { task: "release-notes", titles: [title] });
+            if (responseText && responseText.trim()) release.aiSummary = responseText.trim();
+        } catch (error) {
+            console.warn(`Release notes summary for ${release.url} failed: ${error.message}`);
+        }
+    }
+};
+
+// Tags that already have a release are listed with the release only
+const tagsWithoutRelease = (tags, releases) => {
+    const released = new Set(releases.map(r => `${r.repository}|${r.tagName}`));
+    return tags.filter(tag => !released.has(`${tag.repository}|${tag.name}`));
+};
+
+// Default-branch commits not associated with any of the fetched PRs (`prUrls`, a Set),
+// including PRs dropped by the configured filters, whose merges aren't direct commits either
+const filterDirectCommits = (commits, prUrls) =>
+    commits.filter(commit => !commit.associatedPullRequests.nodes.some(pr => prUrls.has(pr.url)));
+
+module.exports = { summarizeReleaseNotes, tagsWithoutRelease, filterDirectCommits };
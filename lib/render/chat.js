@@ -0,0 +1,224 @@
+const { formatDate } = require("./common");
+
+// Chat payloads have no <details> support and tight size limits, so items become one-line bullets
+
+const DISCORD_EMBED_LIMIT = 4096;
+const DISCORD_TOTAL_LIMIT = 6000;
+const DISCORD_MAX_EMBEDS = 10;
+const SLACK_MAX_BLOCKS = 50;
+
+// `day` formats a date in the period's timezone
+const itemLine = (entry, link, day) => {
+    const author = entry.author ? `@${entry.author.login}` : "unknown";
+    return `${entry.icon} ${link(entry.title, entry.url)} (${entry.statusText} ${day(entry.date)} by ${author})`;
+};
+
+// Releases, then tags without a release, one line each
+const releaseLines = (repo, link, day) => [
+    ...repo.releases.map(release => `${release.icon} ${link(release.title, release.url)} (${release.statusText} ${day(release.date)})`),
+    ...repo.tags.map(tag => `🔖 ${link(tag.name, tag.url)} (Tagged on ${day(tag.date)})`),
+];
+
+// "vite 5.0.0 → 5.1.0", or the title when it didn't parse
+const dependencyLine = (update, link, day) => {
+    const text = update.package
+        ? `${link(update.package, update.url)} ${update.from ? `${update.from} ` : ""}→ ${update.to}${update.directory ? ` in ${update.directory}` : ""}`
+        : link(update.title, update.url);
+    return `${text} (${update.statusText} ${day(update.date)})`;
+};
+
+const commitLine = (commit, link, day) =>
+    `${link(commit.sha, commit.url)} ${commit.title} (${day(commit.date)} by ${commit.author ? `@${commit.author.login}` : commit.authorName})`;
+
+// One line per metric, with the change from the previous period when there is one
+const metricLines = (metrics) => metrics.rows.map(row =>
+    `${row.label}: ${row.value}${metrics.previousPeriod ? ` (${row.delta})` : ""}${row.trend ? ` ${row.trend}` : ""}`);
+
+// "Needs attention" lines, each list headed by its title; empty when the section is disabled
+const attentionLines = (attention, link, heading) => {
+    if (!attention) return [];
+    if (attention.total === 0) return ["Nothing is waiting on maintainers right now. 🎉"];
+
+    const lists = [
+        ["Waiting for a first review", attention.waitingForReview, item => `no review for ${item.days} days`],
+        ["Changes requested, no follow-up", attention.changesRequested, item => `changes requested by @${item.reviewer} ${item.days} days ago`],
+        ["Issues without a maintainer response", attention.unansweredIssues, item => `no reply from the core team for ${item.days} days`],
+    ];
+    return lists.filter(([, list]) => list.total > 0).flatMap(([title, list, describe]) => [
+        heading(title),
+        ...list.items.map(item => `${link(item.title, item.url)}: ${describe(item)}`),
+        ...(list.more > 0 ? [`…and ${list.more} more`] : []),
+    ]);
+};
+
+// Joins lines until `limit` characters, then notes how many were left out
+const truncateLines = (lines, limit) => {
+    const kept = [];
+    let length = 0;
+    for (const [i, line] of lines.entries()) {
+        const more = `\n…and ${lines.length - i} more`;
+        if (length + line.length + 1 + more.length > limit) {
+            kept.push(more.trim());
+            break;
+        }
+        kept.push(line);
+        length += line.length + 1;
+    }
+    return kept.join("\n");
+};
+
+// Stands in for the repositories that didn't fit: "…and 3 more repositories" and their names
+const moreRepositories = (repos) => ({
+    title: `…and ${repos.length} more ${repos.length === 1 ? "repository" : "repositories"}`,
+    lines: [repos.map(repo => repo.name).join(", ")],
+});
+
+// Slack mrkdwn: <url|text> links, *bold*, and the Block Kit limits of 3000 characters per
+// section and 50 blocks per message. Repositories that don't fit are named in one last section.
+const renderSlack = (report) => {
+    const link = (text, url) => `<${url}|${text.replace(/[<>|]/g, "")}>`;
+    const section = (text) => ({ type: "section", text: { type: "mrkdwn", text: truncateLines(text.split("\n"), 3000) } });
+    const day = (date) => formatDate(date, report.period.timezone);
+
+    const blocks = [
+        { type: "header", text: { type: "plain_text", text: `${report.title} 🚀`.substring(0, 150) } },
+        section(report.summary),
+    ];
+
+    const repoBlocks = report.repositories.map(repo => {
+        const sections = [];
+        const prefix = report.multiRepo ? `📦 ${repo.name} · ` : "";
+        const prLines = [
+            ...repo.prGroups.flatMap(group => [
+                `_${group.title}_`,
+                ...group.items.map(pr => `• ${itemLine(pr, link, day)}\n    _${pr.summary.replace(/\n/g, " ")}_`),
+            ]),
+            ...(repo.dependencyUpdates.length > 0 ? ["_📦 Dependency updates_", ...repo.dependencyUpdates.map(update => `• ${dependencyLine(update, link, day)}`)] : []),
+        ];
+        const issueLines = repo.issues.map(issue => `• ${itemLine(issue, link, day)}`);
+
+        sections.push(section(`*${prefix}PR Status*\n${prLines.length > 0 ? prLines.join("\n") : `_No new activity this ${report.period.noun}_`}`));
+        sections.push(section(`*${prefix}Issues Status*\n${issueLines.length > 0 ? issueLines.join("\n") : `_No new issues in this ${report.period.noun}_`}`));
+
+        const releases = releaseLines(repo, link, day);
+        if (releases.length > 0) {
+            sections.push(section(`*${prefix}🏷️ Releases*\n${releases.map(line => `• ${line}`).join("\n")}`));
+        }
+        if (repo.directCommits.length > 0) {
+            sections.push(section(`*${prefix}📌 Direct commits*\n${repo.directCommits.map(commit => `• ${commitLine(commit, link, day)}`).join("\n")}`));
+        }
+        return sections;
+    });
+
+    const tail = [];
+    if (report.metrics) {
+        tail.push(section(`*📈 By the numbers*\n${metricLines(report.metrics).map(line => `• ${line}`).join("\n")}`));
+    }
+
+    const attention = attentionLines(report.attention, link, title => `_${title}_`);
+    if (attention.length > 0) {
+        tail.push(section(`*🚨 Needs attention*\n${attention.join("\n")}`));
+    }
+
+    if (report.firstTimeContributors.length > 0) {
+        tail.push(section(`*🎉 First-time contributors*\n${report.firstTimeContributors.map(c => `• ${link(`@${c.login}`, c.url)}: ${c.prs.map(pr => link(pr.title, pr.url)).join(", ")}`).join("\n")}`));
+    }
+
+    if (report.contributors.length > 0) {
+        tail.push(section(`*🌟 Contributors*\n${report.contributors.map(c => link(c.login, c.url)).join(", ")}`));
+    }
+
+    tail.push({ type: "context", elements: [{ type: "mrkdwn", text: report.footer.substring(0, 2000) }] });
+
+    // Whole repositories only, keeping a block for the note when more are left
+    const room = SLACK_MAX_BLOCKS - blocks.length - tail.length;
+    const kept = [];
+    for (const [i, sections] of repoBlocks.entries()) {
+        const isLast = i === repoBlocks.length - 1;
+        if (kept.length + sections.length + (isLast ? 0 : 1) > room) {
+            const more = moreRepositories(report.repositories.slice(i));
+            kept.push(section(`*${more.title}*\n${more.lines.join("\n")}`));
+            break;
+        }
+        kept.push(...sections);
+    }
+    blocks.push(...kept, ...tail);
+
+    // `text` is the notification fallback
+    return { text: `${report.title}: ${report.summary}`, blocks };
+};
+
+// Discord: Markdown links work inside embeds. An embed description holds up to 4096 characters
+// and all embeds of a message together at most 6000, so the budget is shared between sections.
+// At most 10 embeds: repositories beyond that are named in one embed, the other sections stay.
+const renderDiscord = (report) => {
+    const link = (text, url) => `[${text.replace(/[[\]]/g, "")}](${url})`;
+    const day = (date) => formatDate(date, report.period.timezone);
+    const repoSections = [];
+    const sections = [];
+
+    for (const repo of report.repositories) {
+        repoSections.push({
+            title: report.multiRepo ? `📦 ${repo.name}` : `This ${report.period.noun}`,
+            lines: [
+                "**PR Status**",
+                ...(repo.prGroups.length + repo.dependencyUpdates.length > 0
+                    ? [
+                        ...repo.prGroups.flatMap(group => [`__${group.title}__`, ...group.items.map(pr => itemLine(pr, link, day))]),
+                        ...(repo.dependencyUpdates.length > 0 ? ["__📦 Dependency updates__", ...repo.dependencyUpdates.map(update => dependencyLine(update, link, day))] : []),
+                    ]
+                    : [`*No new activity this ${report.period.noun}*`]),
+                "",
+                "**Issues Status**",
+                ...(repo.issues.length > 0 ? repo.issues.map(issue => itemLine(issue, link, day)) : [`*No new issues in this ${report.period.noun}*`]),
+                ...(repo.releases.length + repo.tags.length > 0 ? ["", "**🏷️ Releases**", ...releaseLines(repo, link, day)] : []),
+                ...(repo.directCommits.length > 0 ? ["", "**📌 Direct commits**", ...repo.directCommits.map(commit => commitLine(commit, link, day))] : []),
+            ],
+        });
+    }
+
+    if (report.metrics) {
+        sections.push({ title: "📈 By the numbers", lines: metricLines(report.metrics) });
+    }
+
+    const attention = attentionLines(report.attention, link, title => `__${title}__`);
+    if (attention.length > 0) {
+        sections.push({ title: "🚨 Needs attention", lines: attention });
+    }
+
+    if (report.firstTimeContributors.length > 0) {
+        sections.push({
+            title: "🎉 First-time contributors",
+            lines: report.firstTimeContributors.map(c => `${link(`@${c.login}`, c.url)}: ${c.prs.map(pr => link(pr.title, pr.url)).join(", ")}`),
+        });
+    }
+
+    if (report.contributors.length > 0) {
+        sections.push({ title: "🌟 Contributors", lines: report.contributors.map(c => link(c.login, c.url)) });
+    }
+
+    const title = `${report.title} 🚀`.substring(0, 256);
+    const summary = report.summary.substring(0, 1000);
+    const footer = report.footer.replace(/\*/g, "").substring(0, 500);
+    // One embed goes to the summary
+    const room = DISCORD_MAX_EMBEDS - 1 - sections.length;
+    const kept = [
+        ...(repoSections.length > room
+            ? [...repoSections.slice(0, room - 1), moreRepositories(report.repositories.slice(room - 1))]
+            : repoSections),
+        ...sections,
+    ];
+
+    const used = title.length + summary.length + footer.length + kept.reduce((n, section) => n + section.title.length, 0);
+    const perSection = Math.min(DISCORD_EMBED_LIMIT, Math.floor((DISCORD_TOTAL_LIMIT - used) / Math.max(kept.length, 1)));
+
+    const embeds = [
+        { title, description: summary },
+        ...kept.map(section => ({ title: section.title, description: truncateLines(section.lines, perSection) })),
+    ];
+    embeds[embeds.length - 1].footer = { text: footer };
+
+    return { embeds };
+};
+
+module.exports = { renderSlack, renderDiscord };
@@ -0,0 +1,19 @@
+const { formatInTimeZone } = require("date-fns-tz");
+
+// "Jan 8" in `timezone` (the period's), so the day doesn't depend on the machine's timezone
+const formatDate = (d, timezone, pattern = "MMM d") => formatInTimeZone(new Date(d), timezone, pattern);
+
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// Just enough inline Markdown for summaries and the footer: links, bold, italics, code
+const inlineMarkdown = (text) => escapeHtml(text)
+    .replace(/\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g, '<a href="$2">$1</a>')
+    .replace(/\*\*([^*]+)\*\*/g, "<strong>$1</strong>")
+    .replace(/\*([^*]+)\*/g, "<em>$1</em>")
+    .replace(/`([^`]+)`/g, "<code>$1</code>");
+
+module.exports = { formatDate, escapeHtml, inlineMarkdown };
@@ -0,0 +1,6 @@
+const { compileTemplate } = require("./template");
+
+// Standalone, email-ready HTML page. `templatePath` swaps the bundled templates/roundup.html.hbs.
+const createHtmlRenderer = (templatePath) => compileTemplate("roundup.html.hbs", templatePath);
+
+module.exports = { createHtmlRenderer };
@@ -0,0 +1,7 @@
+const { compileTemplate } = require("./template");
+
+// GitHub-flavoured Markdown with <details> accordions, used for Discussions and archived .md files.
+// `templatePath` swaps the bundled templates/discussion.md.hbs for a user-supplied one.
+const createMarkdownRenderer = (templatePath) => compileTemplate("discussion.md.hbs", templatePath);
+
+module.exports = { createMarkdownRenderer };
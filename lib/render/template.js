@@ -0,0 +1,37 @@
+const fs = require("fs");
+const path = require("path");
+const Handlebars = require("handlebars");
+const { formatDate, inlineMarkdown } = require("./common");
+
+const TEMPLATES_DIR = path.join(__dirname, "..", "..", "templates");
+
+// Isolated instance so user templates can't clash with anything else registering helpers
+const handlebars = Handlebars.create();
+
+// In the report's timezone ({{formatDate date}} or {{formatDate date "d MMMM"}}), the last argument is Handlebars' options object
+handlebars.registerHelper("formatDate", (date, ...args) => {
+    const { data } = args.pop();
+    const timezone = data.root && data.root.period ? data.root.period.timezone : "UTC";
+    return typeof args[0] === "string" ? formatDate(date, timezone, args[0]) : formatDate(date, timezone);
+});
+handlebars.registerHelper("inlineMarkdown", (text) => new handlebars.SafeString(inlineMarkdown(text || "")));
+handlebars.registerHelper("json", (value) => new handlebars.SafeString(JSON.stringify(value, null, 2)));
+handlebars.registerHelper("eq", (a, b) => a === b);
+// The last argument is Handlebars' options object
+handlebars.registerHelper("or", (...args) => args.slice(0, -1).some(Boolean));
+
+/**
+ * Compiles a Handlebars template: `overridePath` (relative to the working directory)
+ * when given, else the bundled `templates/<defaultName>`. Returns report => string.
+ */
+const compileTemplate = (defaultName, overridePath) => {
+    const file = overridePath ? path.resolve(overridePath) : path.join(TEMPLATES_DIR, defaultName);
+    if (!fs.existsSync(file)) {
+        throw new Error(`Template ${file} does not exist.`);
+    }
+
+    const template = handlebars.compile(fs.readFileSync(file, "utf8"), { strict: false });
+    return (report) => template(report);
+};
+
+module.exports = { compileTemplate };
@@ -0,0 +1,142 @@
+// The structured report model. Everything the renderers and templates need is
+// decided here (status, icon, dates, summary text), so they only format data.
+
+const { parseDependencyUpdate } = require("./filters");
+const { inPeriod } = require("./period");
+const { labelNames } = require("./categorize");
+
+// Status of an item relative to the report period, most significant first
+const getItemStatus = (item, type, period) => {
+    if (type === 'pr') {
+        if (inPeriod(item.mergedAt, period)) return { status: "merged", icon: "✅", statusText: "Merged on", date: item.mergedAt };
+        if (inPeriod(item.closedAt, period)) return { status: "closed", icon: "🔴", statusText: "Closed on", date: item.closedAt };
+        if (inPeriod(item.createdAt, period)) return { status: "opened", icon: "🚧", statusText: "Opened on", date: item.createdAt };
+        return { status: "updated", icon: "⚡", statusText: "Updated on", date: item.updatedAt };
+    }
+
+    // Issue Logic
+    if (inPeriod(item.closedAt, period)) return { status: "closed", icon: "✅", statusText: "Closed on", date: item.closedAt };
+    if (inPeriod(item.createdAt, period)) return { status: "opened", icon: "✨", statusText: "Opened on", date: item.createdAt };
+    return { status: "updated", icon: "⚡", statusText: "Updated on", date: item.updatedAt };
+};
+
+// Description/notes snippet used whenever there is no AI summary
+const snippet = (text, empty) => (text ? text.replace(/\n/g, ' ').substring(0, 150) + "..." : empty);
+
+// AI summaries the grounding check flagged but kept (`grounding.onFailure: mark`) say so
+const withGroundingNote = (summary, references) => (references && references.length > 0
+    ? `${summary} *(⚠️ Unverified: ${references.map(r => `\`${r}\``).join(", ")} not found in the changes.)*`
+    : summary);
+
+const toEntry = (item, type, period) => ({
+    type,
+    number: item.number,
+    title: item.title,
+    url: item.url,
+    repository: item.repository.nameWithOwner,
+    state: item.state,
+    ...getItemStatus(item, type, period),
+    author: item.author ? { login: item.author.login, url: item.author.url } : null,
+    // AI summary, else a snippet of the description
+    summary: item.aiSummary ? withGroundingNote(item.aiSummary, item.ungroundedReferences) : snippet(item.body, "No description provided."),
+    aiSummary: Boolean(item.aiSummary),
+    // What the grounding check couldn't find in the changes, for summaries kept anyway
+    unverified: item.aiSummary && item.ungroundedReferences ? item.ungroundedReferences : [],
+    labels: labelNames(item),
+    category: item.category.key,
+    conventional: item.category.conventional,
+    breaking: item.category.breaking,
+});
+
+const toReleaseEntry = (release) => ({
+    type: "release",
+    title: release.name || release.tagName,
+    tagName: release.tagName,
+    url: release.url,
+    icon: "🏷️",
+    statusText: release.isPrerelease ? "Pre-release published on" : "Published on",
+    date: release.publishedAt || release.createdAt,
+    prerelease: release.isPrerelease,
+    author: release.author ? { login: release.author.login, url: release.author.url } : null,
+    summary: release.aiSummary || snippet(release.description, "No release notes provided."),
+    aiSummary: Boolean(release.aiSummary),
+});
+
+// Dependency bumps: the package and versions from the title, unknown parts null
+const toDependencyEntry = (pr, period) => ({
+    ...toEntry(pr, 'pr', period),
+    ...(parseDependencyUpdate(pr.title) || { package: null, from: null, to: null, directory: null }),
+});
+
+const toTagEntry = (tag) => ({
+    type: "tag",
+    name: tag.name,
+    url: tag.url,
+    date: tag.date,
+});
+
+const toCommitEntry = (commit) => ({
+    sha: commit.abbreviatedOid,
+    title: commit.messageHeadline,
+    url: commit.url,
+    date: commit.committedDate,
+    author: commit.author && commit.author.user ? { login: commit.author.user.login, url: commit.author.user.url } : null,
+    // Git author name, for commits not linked to a GitHub account
+    authorName: commit.author ? commit.author.name : null,
+});
+
+const newestFirst = (a, b) => (a.date < b.date ? 1 : a.date > b.date ? -1 : 0);
+
+/**
+ * Builds the report model from the fetched (and enriched) PRs/issues.
+ * The result is plain JSON, so it can be written out as an artifact as is.
+ */
+const buildReport = ({ title, marker, period, summary, repositories, prs, issues, releases = [], tags = [], directCommits = [], attention = null, metrics = null, redactions = null, grounding = null, contributors, firstTimeContributors = [], showContributorStats = false, footer, categorizer, serverUrl = "https://github.com" }) => ({
+    title,
+    marker,
+    period,
+    summary,
+    multiRepo: repositories.length > 1,
+    repositories: repositories.map(name => {
+        const repoItems = prs.filter(pr => pr.repository.nameWithOwner === name);
+        const repoPRs = repoItems.filter(pr => !pr.dependencyUpdate).map(pr => toEntry(pr, 'pr', period));
+        return {
+            name,
+            url: `${serverUrl}/${name}`,
+            prs: repoPRs,
+            // The same PRs grouped by category ({ key, title, items }), empty categories left out
+            prGroups: categorizer.group(repoPRs),
+            // Dependency bumps, listed together instead of in prs/prGroups ({ package, from, to, directory, ...entry })
+            dependencyUpdates: repoItems.filter(pr => pr.dependencyUpdate).map(pr => toDependencyEntry(pr, period)),
+            issues: issues.filter(issue => issue.repository.nameWithOwner === name).map(issue => toEntry(issue, 'issue', period)),
+            // Releases published this period, newest first
+            releases: releases.filter(r => r.repository === name).map(toReleaseEntry).sort(newestFirst),
+            // Tags created this period that have no release, newest first
+            tags: tags.filter(t => t.repository === name).map(toTagEntry).sort(newestFirst),
+            // Default-branch commits not associated with any of the reported PRs, newest first
+            directCommits: directCommits.filter(c => c.repository === name).map(toCommitEntry).sort(newestFirst),
+        };
+    }),
+    // "By the numbers": { current, previousPeriod, rows: [{ label, value, delta, trend }], hasTrend, chart }, null when disabled
+    metrics,
+    // Triage lists ({ total, items }) of stuck PRs/issues, null when the section is disabled
+    attention: attention && {
+        ...attention,
+        total: attention.waitingForReview.total + attention.changesRequested.total + attention.unansweredIssues.total,
+    },
+    // What was redacted from the LLM prompts ({ total, byKind, items, excludedFiles, excludedPRs }),
+    // locations and counts only. Not rendered, it ends up in the REPORT_JSON artifact.
+    redactions,
+    // AI summaries that named files or identifiers missing from the changes
+    // ({ checked, flagged: [{ url, title, references, action }] }), null without an LLM
+    grounding,
+    // [{ login, url, core, active, stats: { prsOpened, prsMerged, reviews, comments } }]
+    contributors,
+    // Only the contributors with activity this period, for the stats table (empty when disabled)
+    contributorStats: showContributorStats ? contributors.filter(c => c.active) : [],
+    // [{ login, url, repository, prs: [{ number, title, url }] }]
+    firstTimeContributors,
+    footer,
+});
+
+module.exports = { buildReport, getItemStatus };
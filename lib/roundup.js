@@ -0,0 +1,390 @@
+// The report pipeline: fetch activity, classify and sort it, enrich PRs with
+// AI summaries, and assemble the report model. No env access, so it can be
+// driven by the workflow entry point, tests or other front ends alike.
+
+const { fetchItems, fetchReleases, fetchTags, fetchDefaultBranchCommits, resolveSourceRepos } = require("./github");
+const { resolvePeriod, resolveRunDate, inPeriod } = require("./period");
+const { summarizePRs } = require("./summaries");
+const { summarizeReleaseNotes, tagsWithoutRelease, filterDirectCommits } = require("./releases");
+const { findItemsNeedingAttention } = require("./attention");
+const { computeMetrics, buildMetricsSummary, loadHistory } = require("./metrics");
+const { createRedactor, logRedactionSummary } = require("./redact");
+const { verifySummaries } = require("./grounding");
+const { loadSummaryCache, applyCachedSummary, storeSummaries, saveSummaryCache } = require("./summary-cache");
+const { buildReport } = require("./report");
+const { createCategorizer } = require("./categorize");
+const { collectContributors, orderContributors, findFirstTimeContributors } = require("./contributors");
+const { createItemFilter, createDependencyDetector } = require("./filters");
+
+const defaultSummary = (period) => `This ${period.noun} saw steady progress with various improvements.`;
+
+// Sort by Priority: merged (1), created (2), only updated (3), closed (4)
+const getPriority = (item, period) => {
+    const createdInWeek = inPeriod(item.createdAt, period);
+
+    if (item.__typename === 'PullRequest') {
+        if (inPeriod(item.mergedAt, period)) return 1;
+        if (inPeriod(item.closedAt, period)) return 4;
+        if (createdInWeek) return 2;
+        return 3;
+    } else {
+        if (inPeriod(item.closedAt, period)) return 4;
+        if (createdInWeek) return 2;
+        return 3;
+    }
+};
+
+// Expects `item.category` to be set by the categorizer
+const createSortItems = (period) => (a, b) => {
+    // First sort by Category (config order)
+    if (a.category.rank !== b.category.rank) return a.category.rank - b.category.rank;
+
+    // Then by Status Priority (Merged > Created > etc)
+    const pSA = getPriority(a, period);
+    const pSB = getPriority(b, period);
+    if (pSA !== pSB) return pSA - pSB;
+
+    // Finally by number
+    return a.number - b.number;
+};
+
+// PRs merged, closed or opened in the period. Ones that were only updated are left out.
+const filterRelevantPRs = (prs, period) => prs.filter(pr =>
+    inPeriod(pr.mergedAt, period) || inPeriod(pr.closedAt, period) || inPeriod(pr.createdAt, period));
+
+// Conversational Summary using the LLM (Global) - Uses Enriched Data
+const generateGlobalSummary = async (llm, enrichedPRs, { period, projectName, isMultiRepo }) => {
+    const mergedPRs = enrichedPRs.filter(pr => inPeriod(pr.mergedAt, period));
+
+    if (mergedPRs.length === 0) {
+        return defaultSummary(period);
+    }
+
+    if (!llm) {
+        console.warn("No LLM provider available, falling back to heuristic summary.");
+        const significantPRs = mergedPRs.filter(pr => {
+            const t = pr.title.toLowerCase();
+            return t.includes("feat") || t.includes("add") || t.includes("support") || t.includes("stable") || t.includes("release") || t.includes("update") || t.includes("fix");
+        });
+        if (significantPRs.length === 0) return defaultSummary(period);
+        const updates = significantPRs.map(pr => `[${pr.title.replace(/^(feat|fix|chore|docs)(\(.*\))?:/i, '').trim()}](${pr.url})`).slice(0, 3);
+        if (updates.length === 1) return `We are excited to highlight the completion of ${updates[0]}.`;
+        return `Highlights include ${updates.slice(0, -1).join(', ')} and ${updates.slice(-1)}.`;
+    }
+
+    // PRs kept from the LLM (private or security-labelled) are left out of the overview as well
+    const promptPRs = mergedPRs.filter(pr => !pr.llmExcluded);
+    if (promptPRs.length === 0) {
+        return defaultSummary(period);
+    }
+
+    try {
+        // Use the AI Summaries if available, otherwise fallback to title/redacted body
+        const prSummaries = promptPRs
+            .map(pr => `- ${isMultiRepo ? `[${pr.repository.nameWithOwner}] ` : ""}${pr.title}: ${pr.aiSummary || pr.promptBody || ""}`)
+            .join("\n");
+
+        const prompt = `
+            You are writing a ${period.adjective} newsletter for the "${projectName}" project.
+            Here is the summary of the work completed (Merged PRs) this ${period.noun}:
+            ${prSummaries}
+
+            Please write a short, engaging conversational summary (1-2 sentences) highlighting the key progress.
+            Focus on the actual value delivered based on the summaries provided.
+            Start with "Highlights include..." or similar. Do not use markdown links.
+            `;
+
+        const responseText = await llm.generate(prompt, { task: "overview" });
+        return responseText.trim();
+    } catch (error) {
+        console.error(`Error generating global summary with ${llm.name}:`, error);
+        return defaultSummary(period);
+    }
+};
+
+const summaryOptions = (config, period) => ({
+    adjective: period.adjective,
+    maxPromptTokens: config.llm.maxPromptTokens,
+    maxRetries: config.llm.maxRetries,
+    retryDelayMs: config.llm.retryDelayMs
+});
+
+// Adds `changedFiles`, `diffContext` (trimmed patches), `promptBody` and `aiSummary` to each PR.
+// Prompts only get the redacted `promptBody` and patches; `body` stays as written for the report.
+const enrichPRs = async (github, llm, prs, config, redactor, period) => {
+    try {
+        // Enrich PRs with Diffs
+        console.log("Fetching code diffs (via REST) for improved AI summaries...");
+        await Promise.all(prs.map(async (pr) => {
+            pr.promptBody = redactor.redact(pr.body, pr.url);
+
+            const files = await github.getPRFiles(pr.repository.nameWithOwner, pr.number);
+            pr.changedFiles = files.map(f => f.path);
+            const usefulFiles = files.filter(f => !config.ignoredFiles.some(ignored => f.path.includes(ignored)) && !redactor.excludesPath(f.path, pr.url));
+
+            // create a concise diff string
+            pr.diffContext = redactor.redact(usefulFiles.map(f => {
+                // heavily caption the patch to avoid token limits, just getting the gist
+                const snippet = (f.patch || '').split('\n').slice(0, 30).join('\n');
+                return `File: ${f.path}\nDiff Preview:\n${snippet}...`;
+            }).join('\n\n'), pr.url);
+        }));
+
+        // Batch matched PRs into token-budgeted chunks, validating and retrying each one
+        await summarizePRs(llm, prs, summaryOptions(config, period));
+    } catch (error) {
+        console.error("Error generating PR summaries:", error);
+    }
+};
+
+// Footer when the config doesn't set one, naming whatever actually wrote the summaries
+const defaultFooter = (llm) => (llm
+    ? `*Auto-generated by Week in AWL GitHub Action, summarised using ${llm.model} (${llm.name}). The summaries in this post are generated by AI and may contain inaccuracies. Please verify important details by reviewing the source Pull Requests/Issues directly.*`
+    : "*Auto-generated by Week in AWL GitHub Action.*");
+
+/**
+ * Fetches the period's activity from `sourceRepos` and returns the report model.
+ * `llm` may be null, in which case summaries fall back to descriptions/heuristics.
+ * `history` holds the metrics of earlier periods (see lib/metrics.js) for the comparison.
+ * `summaryCache` (see lib/summary-cache.js) provides and receives AI summaries per PR head
+ * commit, `refreshSummaries` ignores the cached ones.
+ */
+const generateRoundup = async ({ config, github, llm, sourceRepos, period, fetchOptions = {}, history = [], summaryCache = null, refreshSummaries = false }) => {
+    const isMultiRepo = sourceRepos.length > 1;
+
+    // We want to capture ALL activity, one search per repository and item type
+    const prItems = [];
+    const issueItems = [];
+    const releases = [];
+    const tags = [];
+    const commits = [];
+    for (const repoName of sourceRepos) {
+        const repoQuery = `repo:${repoName}`;
+        const [repoPRs, repoIssues, repoReleases, repoTags, repoCommits] = await Promise.all([
+            fetchItems(github, `${repoQuery} is:pr updated:${period.start}..${period.end}`, fetchOptions),
+            fetchItems(github, `${repoQuery} is:issue updated:${period.start}..${period.end}`, fetchOptions),
+            config.releases.enabled ? fetchReleases(github, repoName, period, fetchOptions) : [],
+            config.releases.enabled && config.releases.tags ? fetchTags(github, repoName, period, fetchOptions) : [],
+            config.directCommits.enabled ? fetchDefaultBranchCommits(github, repoName, period, fetchOptions) : []
+        ]);
+        prItems.push(...repoPRs);
+        issueItems.push(...repoIssues);
+        releases.push(...repoReleases);
+        tags.push(...repoTags);
+        commits.push(...repoCommits);
+    }
+
+    const allItems = new Map();
+    [...prItems, ...issueItems].forEach(item => allItems.set(item.url, item));
+    // Every fetched PR, filtered or not, accounts for its own commits (see filterDirectCommits)
+    const fetchedPRUrls = new Set(prItems.map(pr => pr.url));
+
+    // Author/label/title filters from the config drop items from every part of the report
+    const keepItem = createItemFilter(config.filters);
+    const fetchedCount = allItems.size;
+    for (const [url, item] of allItems) {
+        if (!keepItem(item)) allItems.delete(url);
+    }
+    if (allItems.size < fetchedCount) {
+        console.log(`Filtered out ${fetchedCount - allItems.size} item(s) by the configured filters.`);
+    }
+
+    // Authors, reviewers and commenters with their activity counts for the period
+    const contributors = collectContributors(allItems.values(), period, { includeBots: config.contributors.bots });
+
+    const prs = [];
+    const issues = [];
+
+    for (const item of allItems.values()) {
+        if (item.__typename === 'PullRequest') prs.push(item);
+        else issues.push(item);
+    }
+
+    // Categorize by labels and Conventional Commit headers (breaking changes first by default)
+    const categorizer = createCategorizer(config.categories);
+    for (const item of allItems.values()) {
+        item.category = categorizer.categorize(item);
+    }
+
+    const sortItems = createSortItems(period);
+    prs.sort(sortItems);
+    issues.sort(sortItems);
+
+    console.log(`Found ${prs.length} Unique PRs and ${issues.length} Unique Issues.`);
+
+    if (prs.length === 0 && issues.length === 0) {
+        // Still report, so the post says "No new activity" rather than silently skipping a period
+        console.log("No activity found.");
+    }
+
+    // Filter relevant PRs for the period for AI Summaries
+    const relevantPRs = filterRelevantPRs(prs, period);
+
+    // Secrets, emails and excluded files/PRs are dealt with before any prompt is built
+    const redactor = createRedactor(config.redaction);
+    // Dependency bumps are listed together from their titles, without AI summaries
+    const isDependencyUpdate = config.dependencyUpdates.enabled ? createDependencyDetector(config.dependencyUpdates) : () => false;
+    for (const pr of relevantPRs) {
+        pr.dependencyUpdate = isDependencyUpdate(pr);
+        pr.llmExcluded = Boolean(llm) && !pr.dependencyUpdate && redactor.excludesPR(pr);
+    }
+    const promptPRs = relevantPRs.filter(pr => !pr.llmExcluded && !pr.dependencyUpdate);
+
+    // PRs whose head commit was summarised before need neither their diff nor the LLM
+    // Summaries of another provider or model don't count, e.g. those of a local run with the stub provider
+    const cacheOwner = llm ? { provider: llm.name, model: llm.model } : null;
+    const cachedPRs = summaryCache && llm && !refreshSummaries ? promptPRs.filter(pr => applyCachedSummary(summaryCache, pr, cacheOwner)) : [];
+    const uncachedPRs = promptPRs.filter(pr => !cachedPRs.includes(pr));
+    if (summaryCache && llm) {
+        console.log(`Reusing ${cachedPRs.length} cached AI summaries${refreshSummaries ? " (refresh requested)" : ""}, ${uncachedPRs.length} PR(s) to summarise.`);
+    }
+
+    let grounding = null;
+    if (uncachedPRs.length > 0 && llm) {
+        await enrichPRs(github, llm, uncachedPRs, config, redactor, period);
+
+        // Summaries naming files or identifiers the PR doesn't touch are regenerated, dropped or marked
+        if (config.grounding.enabled) {
+            grounding = await verifySummaries(uncachedPRs, {
+                onFailure: config.grounding.onFailure,
+                regenerate: (prs) => summarizePRs(llm, prs, summaryOptions(config, period))
+            });
+        }
+
+        if (summaryCache) storeSummaries(summaryCache, uncachedPRs, cacheOwner);
+    }
+
+    // Commits on the default branch that none of the fetched PRs account for
+    const directCommits = filterDirectCommits(commits, fetchedPRUrls);
+    const unreleasedTags = tagsWithoutRelease(tags, releases);
+    console.log(`Found ${releases.length} release(s), ${unreleasedTags.length} other tag(s) and ${directCommits.length} direct commit(s).`);
+
+    if (releases.length > 0 && llm && config.releases.summarize) {
+        for (const release of releases) {
+            release.promptDescription = redactor.redact(release.description, release.url);
+        }
+        await summarizeReleaseNotes(llm, releases, { period, projectName: config.projectName });
+    }
+
+    const redactions = llm ? redactor.summary() : null;
+    if (redactions) logRedactionSummary(redactions);
+
+    // Contributors: core team first (optionally only the active ones), then others alphabetically
+    const orderedContributors = orderContributors(contributors, config.coreTeam, {
+        activeCoreOnly: config.contributors.activeCoreOnly,
+        serverUrl: github.serverUrl
+    });
+
+    let firstTimeContributors = [];
+    if (config.contributors.firstTimers) {
+        const mergedPRs = prs.filter(pr => inPeriod(pr.mergedAt, period));
+        firstTimeContributors = await findFirstTimeContributors(github.graphql, mergedPRs, period);
+        console.log(`Found ${firstTimeContributors.length} first-time contributor(s).`);
+    }
+
+    let attention = null;
+    if (config.attention.enabled) {
+        attention = await findItemsNeedingAttention(github, sourceRepos, {
+            period,
+            coreTeam: config.coreTeam,
+            settings: config.attention,
+            fetchOptions,
+            keepItem
+        });
+        console.log(`Needs attention: ${attention.waitingForReview.total} PR(s) waiting for review, ${attention.changesRequested.total} with unanswered change requests, ${attention.unansweredIssues.total} unanswered issue(s).`);
+    }
+
+    let metrics = null;
+    if (config.metrics.enabled) {
+        metrics = buildMetricsSummary(computeMetrics({ prs, issues, contributors: orderedContributors, period }), history, {
+            period,
+            repositories: sourceRepos,
+            sparkline: config.metrics.sparkline,
+            trendPeriods: config.metrics.trendPeriods
+        });
+    }
+
+    const globalSummary = await generateGlobalSummary(llm, relevantPRs.filter(pr => !pr.dependencyUpdate), {
+        period,
+        projectName: config.projectName,
+        isMultiRepo
+    });
+
+    return buildReport({
+        title: period.title,
+        marker: period.marker,
+        period: { start: period.start, end: period.end, cadence: period.cadence, noun: period.noun, timezone: period.timezone },
+        summary: globalSummary,
+        repositories: sourceRepos,
+        prs: relevantPRs,
+        issues,
+        releases,
+        tags: unreleasedTags,
+        directCommits,
+        attention,
+        metrics,
+        redactions,
+        grounding,
+        contributors: orderedContributors,
+        firstTimeContributors,
+        showContributorStats: config.contributors.stats,
+        footer: config.footer || defaultFooter(llm),
+        categorizer,
+        serverUrl: github.serverUrl
+    });
+};
+
+// The reporting window for `period` / `timezone` (falling back to the config file), as of `dateOverride` or now
+const resolveReportPeriod = (config, { period, timezone, dateOverride }) => {
+    const periodOptions = {
+        period: period || config.period,
+        timezone: timezone || config.timezone,
+        cutoffTime: config.cutoffTime
+    };
+    const now = resolveRunDate(dateOverride, periodOptions);
+    return resolvePeriod(now, {
+        ...periodOptions,
+        titlePrefixes: { weekly: config.titlePrefix, ...config.titlePrefixes }
+    });
+};
+
+/**
+ * One run for `period` as the workflow and the CLI do it: resolves the source repositories
+ * (`sources`, see resolveSourceRepos), generates the report with the metrics history and the
+ * summary cache, and saves the updated cache unless `updateSummaryCache` is false. The history
+ * is read, not extended.
+ * Returns { report, history }.
+ */
+const runRoundup = async ({ config, github, llm, period, sources, fetchOptions = {}, refreshSummaries = false, updateSummaryCache = true }) => {
+    console.log(`Generating roundup for ${period.title} (${period.start} to ${period.end}, ${period.timezone})...`);
+
+    const sourceRepos = await resolveSourceRepos(github, sources);
+    console.log(`Targeting Repositor${sourceRepos.length > 1 ? "ies" : "y"}: ${sourceRepos.join(", ")}`);
+
+    // Metrics of earlier periods, for the "By the numbers" comparison
+    const history = config.metrics.enabled ? loadHistory(config.metrics.historyFile) : null;
+    // AI summaries of earlier runs, `refreshSummaries` regenerates them all
+    const summaryCache = llm && config.summaryCache.enabled ? loadSummaryCache(config.summaryCache.file) : null;
+
+    const report = await generateRoundup({
+        config,
+        github,
+        llm,
+        sourceRepos,
+        period,
+        fetchOptions,
+        history: history ? history.periods : [],
+        summaryCache,
+        refreshSummaries
+    });
+
+    // Saved in dry runs too, so a preview and the real run that follows post the same summaries
+    if (summaryCache && updateSummaryCache) {
+        const count = saveSummaryCache(config.summaryCache.file, summaryCache, { maxEntries: config.summaryCache.maxEntries });
+        console.log(`Saved ${count} cached summaries to ${config.summaryCache.file}.`);
+    }
+
+    return { report, history };
+};
+
+module.exports = { generateRoundup, runRoundup, resolveReportPeriod, generateGlobalSummary, getPriority, createSortItems, filterRelevantPRs };
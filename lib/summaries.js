@@ -0,0 +1,137 @@
+// Per-PR "Blended Summary" generation: token-budgeted batching, response
+// validation and per-chunk retries so one bad reply doesn't lose every summary.
+
+// Rough heuristic, good enough for budgeting (~4 characters per token for English/code)
+const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// `adjective` is the period's ("weekly", "fortnightly", "monthly", ...)
+const promptHeader = (adjective) => `
+            You are a Senior Technical Editor writing a ${adjective} engineering newsletter.
+            I will provide a list of Pull Requests. For each PR, I have included the "Developer Description" AND the "Code Context" (files changed).
+
+            YOUR GOAL: Write a "Blended Summary" (2-3 sentences) for each PR.
+            1. **Truth Seeking**: If the Developer Description is vague (e.g., "fixed bug"), look at the Code Context to describe *what* actually changed (e.g., "Fixed null pointer in auth logic").
+            2. **Synthesis**: Combine the intent (Description) with the reality (Code).
+            3. **Format**: Return valid JSON: { "summaries": [ { "index": 0, "summary": "..." }, ... ] }
+
+            Input PRs:
+            `;
+
+const formatPR = (pr, index) => `
+PR #${index}
+Repository: ${pr.repository.nameWithOwner}
+Title: "${pr.title}"
+State: ${pr.state}
+Developer Description: "${(pr.promptBody || '').replace(/\n/g, ' ').substring(0, 300)}..."
+Code Context (Diffs):
+${pr.diffContext || "No diff available."}
+${pr.ungroundedReferences ? `Note: An earlier summary mentioned ${pr.ungroundedReferences.join(", ")}, which do not appear in the changes. Only mention what the Code Context or Description shows.\n` : ""}--------------------------------------------------
+`;
+
+// Indexes in the prompt are local to the chunk, so the model only ever sees 0..n-1
+const buildPrompt = (prs, adjective = "weekly") => `${promptHeader(adjective)}${prs.map(formatPR).join('\n')}
+            `;
+
+/**
+ * Splits PRs into chunks whose prompt stays under `maxTokens`.
+ * A single PR larger than the budget still gets a chunk of its own.
+ */
+const chunkPRs = (prs, maxTokens, adjective = "weekly") => {
+    const headerTokens = estimateTokens(promptHeader(adjective));
+    const chunks = [];
+    let current = [];
+    let currentTokens = headerTokens;
+
+    for (const pr of prs) {
+        const tokens = estimateTokens(formatPR(pr, current.length));
+        if (current.length > 0 && currentTokens + tokens > maxTokens) {
+            chunks.push(current);
+            current = [];
+            currentTokens = headerTokens;
+        }
+        current.push(pr);
+        currentTokens += tokens;
+    }
+    if (current.length > 0) chunks.push(current);
+
+    return chunks;
+};
+
+/**
+ * Parses a model reply and checks it against `{ summaries: [{ index, summary }] }`.
+ * Throws when the reply is not usable at all; otherwise returns a Map of
+ * index -> summary holding only the well-formed entries for indexes 0..count-1.
+ */
+const parseSummaries = (responseText, count) => {
+    const jsonStart = responseText.indexOf('{');
+    const jsonEnd = responseText.lastIndexOf('}');
+    if (jsonStart === -1 || jsonEnd <= jsonStart) {
+        throw new Error("response contains no JSON object");
+    }
+
+    const parsed = JSON.parse(responseText.substring(jsonStart, jsonEnd + 1));
+    if (!parsed || !Array.isArray(parsed.summaries)) {
+        throw new Error('response JSON has no "summaries" array');
+    }
+
+    const summaries = new Map();
+    for (const entry of parsed.summaries) {
+        const valid = entry
+            && Number.isInteger(entry.index) && entry.index >= 0 && entry.index < count
+            && typeof entry.summary === "string" && entry.summary.trim() !== "";
+        if (valid && !summaries.has(entry.index)) {
+            summaries.set(entry.index, entry.summary.trim());
+        }
+    }
+    return summaries;
+};
+
+/**
+ * Sets `pr.aiSummary` on every PR the model summarised. PRs that still fail
+ * after `maxRetries` retries are left untouched, so rendering falls back to
+ * the description snippet for just those PRs.
+ */
+const summarizePRs = async (llm, prs, { adjective = "weekly", maxPromptTokens = 12000, maxRetries = 2, retryDelayMs = 2000, wait = sleep } = {}) => {
+    const chunks = chunkPRs(prs, maxPromptTokens, adjective);
+    console.log(`Summarising ${prs.length} PRs in ${chunks.length} chunk(s)...`);
+
+    let failed = 0;
+    for (const [chunkIndex, chunk] of chunks.entries()) {
+        let pending = chunk;
+
+        for (let attempt = 0; attempt <= maxRetries && pending.length > 0; attempt++) {
+            if (attempt > 0) {
+                const delay = retryDelayMs * 2 ** (attempt - 1);
+                console.warn(`Retrying ${pending.length} PR(s) of chunk ${chunkIndex + 1} in ${delay}ms (attempt ${attempt + 1}/${maxRetries + 1})...`);
+                await wait(delay);
+            }
+
+            try {
+                const responseText = await llm.generate(buildPrompt(pending, adjective), {
+                    task: "pr-summaries",
+                    titles: pending.map(pr => pr.title)
+                });
+                const summaries = parseSummaries(responseText, pending.length);
+
+                pending.forEach((pr, i) => {
+                    if (summaries.has(i)) pr.aiSummary = summaries.get(i);
+                });
+                // Only the PRs the model skipped or answered malformed are retried
+                pending = pending.filter((pr, i) => !summaries.has(i));
+            } catch (error) {
+                console.warn(`Chunk ${chunkIndex + 1} summaries failed: ${error.message}`);
+            }
+        }
+
+        if (pending.length > 0) {
+            failed += pending.length;
+            console.warn(`No AI summary for ${pending.map(pr => pr.url).join(", ")}, using the description instead.`);
+        }
+    }
+
+    console.log(`AI summaries: ${prs.length - failed} generated, ${failed} fell back to the description.`);
+};
+
+module.exports = { summarizePRs, chunkPRs, parseSummaries, buildPrompt, estimateTokens };
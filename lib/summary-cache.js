@@ -0,0 +1,64 @@
+// Persistent cache of AI summaries keyed by repository, PR number and head commit, so
+// re-runs and backfills only summarise PRs that are new or changed since the last run.
+
+const fs = require("fs");
+const path = require("path");
+
+const CACHE_VERSION = 1;
+
+// PRs without a head commit (e.g. from a deleted fork) can't be cached
+const prKey = (pr) => `${pr.repository.nameWithOwner}#${pr.number}`;
+const cacheKey = (pr) => (pr.headRefOid ? `${prKey(pr)}@${pr.headRefOid}` : null);
+
+// { version, summaries: { "owner/repo#12@<sha>": { summary, provider, model, ungroundedReferences? } } },
+// empty when the file doesn't exist yet
+const loadSummaryCache = (file) => {
+    if (!fs.existsSync(file)) return { version: CACHE_VERSION, summaries: {} };
+
+    const cache = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (!cache || typeof cache.summaries !== "object" || cache.summaries === null) {
+        throw new Error(`${file} is not a summary cache file (expected a "summaries" object).`);
+    }
+    return cache;
+};
+
+/**
+ * Sets `pr.aiSummary` (and the grounding check's `pr.ungroundedReferences`) from the cache.
+ * Returns whether there was an entry for the PR's head commit written by the same provider and model.
+ */
+const applyCachedSummary = (cache, pr, { provider, model }) => {
+    const entry = cacheKey(pr) && cache.summaries[cacheKey(pr)];
+    if (!entry || entry.provider !== provider || entry.model !== model) return false;
+
+    pr.aiSummary = entry.summary;
+    if (entry.ungroundedReferences) pr.ungroundedReferences = entry.ungroundedReferences;
+    return true;
+};
+
+// Records the PRs' summaries, replacing entries for earlier head commits of the same PRs
+const storeSummaries = (cache, prs, { provider, model }) => {
+    for (const pr of prs) {
+        if (!pr.aiSummary || !cacheKey(pr)) continue;
+        for (const key of Object.keys(cache.summaries)) {
+            if (key.startsWith(`${prKey(pr)}@`)) delete cache.summaries[key];
+        }
+        cache.summaries[cacheKey(pr)] = {
+            summary: pr.aiSummary,
+            provider,
+            model,
+            // Summaries kept with an "unverified" note stay marked on later runs
+            ...(pr.ungroundedReferences ? { ungroundedReferences: pr.ungroundedReferences } : {}),
+        };
+    }
+};
+
+// Writes the cache keeping the newest `maxEntries` entries, returns how many were kept
+const saveSummaryCache = (file, cache, { maxEntries }) => {
+    const summaries = Object.fromEntries(Object.entries(cache.summaries).slice(-maxEntries));
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({ version: CACHE_VERSION, summaries }, null, 2) + "\n");
+    return Object.keys(summaries).length;
+};
+
+module.exports = { loadSummaryCache, applyCachedSummary, storeSummaries, saveSummaryCache };
@@ -0,0 +1,68 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+
+const { classifyAttention } = require("../lib/attention");
+
+const asOf = "2026-01-14T11:30:00Z";
+const settings = { asOf, coreTeam: ["core"], firstReviewDays: 3, changesRequestedDays: 5, unansweredIssueDays: 3 };
+
+const pr = ({ number = 1, createdAt = "2026-01-01T00:00:00Z", reviews = [], comments = [], lastCommitAt = createdAt, isDraft = false }) => ({
+    number,
+    title: `PR ${number}`,
+    url: `https://github.com/o/r/pull/${number}`,
+    state: "OPEN",
+    isDraft,
+    createdAt,
+    author: { login: "author", url: "https://github.com/author" },
+    repository: { nameWithOwner: "o/r" },
+    reviews: { nodes: reviews.map(([login, state, submittedAt]) => ({ author: { login }, state, submittedAt })) },
+    comments: { nodes: comments.map(([login, createdAt]) => ({ author: { login }, createdAt })) },
+    commits: { nodes: [{ commit: { committedDate: lastCommitAt } }] },
+});
+
+const issue = ({ number = 1, author = "someone", createdAt = "2026-01-01T00:00:00Z", comments = [] }) => ({
+    number,
+    title: `Issue ${number}`,
+    url: `https://github.com/o/r/issues/${number}`,
+    state: "OPEN",
+    createdAt,
+    author: { login: author },
+    repository: { nameWithOwner: "o/r" },
+    comments: { nodes: comments.map(([login, createdAt]) => ({ author: { login }, createdAt })) },
+});
+
+test("PRs count as waiting until someone other than the author reviews them", () => {
+    const { waitingForReview } = classifyAttention([
+        pr({ number: 1, reviews: [["author", "COMMENTED", "2026-01-02T00:00:00Z"]] }),
+        pr({ number: 2, createdAt: "2026-01-12T00:00:00Z" }),
+        pr({ number: 3, isDraft: true }),
+        pr({ number: 4, reviews: [["core", "COMMENTED", "2026-01-02T00:00:00Z"]] }),
+    ], [], settings);
+
+    assert.deepStrictEqual(waitingForReview.map(item => [item.number, item.days]), [[1, 13]]);
+});
+
+test("change requests need a newer commit or author reply", () => {
+    const requested = ["core", "CHANGES_REQUESTED", "2026-01-02T00:00:00Z"];
+    const { changesRequested } = classifyAttention([
+        pr({ number: 1, reviews: [requested] }),
+        pr({ number: 2, reviews: [requested], lastCommitAt: "2026-01-03T00:00:00Z" }),
+        pr({ number: 3, reviews: [requested], comments: [["author", "2026-01-03T00:00:00Z"]] }),
+        pr({ number: 4, reviews: [requested, ["core", "APPROVED", "2026-01-04T00:00:00Z"]] }),
+        pr({ number: 5, reviews: [requested, ["core", "COMMENTED", "2026-01-04T00:00:00Z"]] }),
+        pr({ number: 6, reviews: [["core", "CHANGES_REQUESTED", "2026-01-12T00:00:00Z"]] }),
+    ], [], settings);
+
+    assert.deepStrictEqual(changesRequested.map(item => [item.number, item.reviewer]), [[1, "core"], [5, "core"]]);
+});
+
+test("issues need a comment from the core team", () => {
+    const { unansweredIssues } = classifyAttention([], [
+        issue({ number: 1, comments: [["someone", "2026-01-02T00:00:00Z"]] }),
+        issue({ number: 2, comments: [["core", "2026-01-02T00:00:00Z"]] }),
+        issue({ number: 3, author: "core" }),
+        issue({ number: 4, createdAt: "2026-01-13T00:00:00Z" }),
+    ], settings);
+
+    assert.deepStrictEqual(unansweredIssues.map(item => item.number), [1]);
+});
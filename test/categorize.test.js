@@ -0,0 +1,34 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+
+const { createCategorizer, parseConventionalTitle } = require("../lib/categorize");
+const { DEFAULTS } = require("../lib/config");
+
+const item = (title, { labels = [], body = "" } = {}) => ({ title, body, labels: { nodes: labels.map(name => ({ name })) } });
+
+test("parses Conventional Commit headers", () => {
+    assert.deepStrictEqual(parseConventionalTitle("feat(ui)!: drop legacy panel"), {
+        type: "feat",
+        scope: "ui",
+        breaking: true,
+        description: "drop legacy panel",
+    });
+    assert.strictEqual(parseConventionalTitle("Update README"), null);
+});
+
+test("breaking marker beats labels, labels beat the type", () => {
+    const { categorize } = createCategorizer(DEFAULTS.categories);
+
+    assert.strictEqual(categorize(item("fix: x", { body: "BREAKING CHANGE: y" })).key, "breaking");
+    assert.strictEqual(categorize(item("fix: typo", { labels: ["documentation"] })).key, "docs");
+    assert.strictEqual(categorize(item("perf: faster search")).key, "perf");
+    assert.strictEqual(categorize(item("Fix login redirect")).key, "fixes");
+    assert.strictEqual(categorize(item("Misc tweaks")).key, "other");
+});
+
+test("groups entries in category order and drops empty groups", () => {
+    const { group } = createCategorizer(DEFAULTS.categories);
+    const groups = group([{ category: "fixes", number: 1 }, { category: "breaking", number: 2 }, { category: "fixes", number: 3 }]);
+
+    assert.deepStrictEqual(groups.map(g => [g.key, g.items.map(i => i.number)]), [["breaking", [2]], ["fixes", [1, 3]]]);
+});
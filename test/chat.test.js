@@ -0,0 +1,67 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+
+const { renderSlack, renderDiscord } = require("../lib/render/chat");
+
+const pr = (repo, number) => ({
+    number,
+    title: `feat: change ${number}`,
+    url: `https://github.com/${repo}/pull/${number}`,
+    icon: "🟣",
+    statusText: "Merged on",
+    date: "2026-01-07T10:00:00Z",
+    author: { login: "dev" },
+    summary: `Summary of change ${number}.`,
+});
+
+// An org-mode report with `count` repositories, each with a PR, a release and a direct commit
+const reportWithRepos = (count) => ({
+    title: "Week in Org (Jan 5 - Jan 11)",
+    summary: "Highlights include steady progress.",
+    period: { timezone: "UTC", noun: "week" },
+    multiRepo: true,
+    repositories: Array.from({ length: count }, (_, i) => {
+        const name = `org/repo-${i + 1}`;
+        return {
+            name,
+            prGroups: [{ title: "✨ Features", items: [pr(name, i + 1)] }],
+            dependencyUpdates: [],
+            issues: [],
+            releases: [{ icon: "🏷️", title: "v1.0.0", url: `https://github.com/${name}/releases/tag/v1.0.0`, statusText: "Released on", date: "2026-01-08T10:00:00Z" }],
+            tags: [],
+            directCommits: [{ sha: "abc1234", url: `https://github.com/${name}/commit/abc1234`, title: "Fix typo", date: "2026-01-09T10:00:00Z", author: { login: "dev" } }],
+        };
+    }),
+    metrics: null,
+    attention: null,
+    firstTimeContributors: [],
+    contributors: [{ login: "dev", url: "https://github.com/dev" }],
+    footer: "*Auto-generated.*",
+});
+
+test("slack stays within 50 blocks and names the repositories left out", () => {
+    const { blocks } = renderSlack(reportWithRepos(20));
+
+    assert.ok(blocks.length <= 50);
+    const texts = blocks.filter(block => block.type === "section").map(block => block.text.text);
+    const more = texts.find(text => text.startsWith("*…and "));
+    assert.match(more, /^\*…and 9 more repositories\*\norg\/repo-12, /);
+    assert.ok(texts.some(text => text.includes("org/repo-11 · 📌 Direct commits")));
+    assert.ok(!texts.some(text => text.includes("org/repo-12 · PR Status")));
+    assert.ok(texts.some(text => text.startsWith("*🌟 Contributors*")));
+    assert.strictEqual(blocks[blocks.length - 1].type, "context");
+});
+
+test("discord stays within 10 embeds and keeps the sections after the repositories", () => {
+    const { embeds } = renderDiscord(reportWithRepos(12));
+
+    assert.strictEqual(embeds.length, 10);
+    assert.deepStrictEqual(embeds.slice(-3).map(embed => embed.title), ["📦 org/repo-7", "…and 5 more repositories", "🌟 Contributors"]);
+    assert.strictEqual(embeds[8].description, "org/repo-8, org/repo-9, org/repo-10, org/repo-11, org/repo-12");
+    assert.ok(embeds[9].footer);
+});
+
+test("few repositories are all listed", () => {
+    assert.ok(!renderSlack(reportWithRepos(3)).blocks.some(block => block.type === "section" && block.text.text.startsWith("*…and ")));
+    assert.strictEqual(renderDiscord(reportWithRepos(3)).embeds.length, 5);
+});
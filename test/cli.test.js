@@ -0,0 +1,114 @@
+const { describe, test, before, after, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { run, UsageError } = require("../lib/cli");
+const { startFakeServer } = require("./helpers/fake-server");
+const { loadWeek, DEFAULT_REPO } = require("./helpers/fixtures");
+
+// Collects what a command writes to stdout
+const output = () => {
+    const chunks = [];
+    return { write: (chunk) => chunks.push(chunk), text: () => chunks.join("") };
+};
+
+describe("awl-roundup", () => {
+    let server;
+    let dir;
+    let env;
+    const savedEnv = { ...process.env };
+
+    before(async () => {
+        server = await startFakeServer(loadWeek("typical-week"));
+        // Keep the summary cache out of the working tree
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "roundup-cli-"));
+        fs.writeFileSync(path.join(dir, "roundup.json"), JSON.stringify({
+            summaryCache: { file: path.join(dir, "summary-cache.json") },
+        }));
+        env = { GITHUB_TOKEN: "test-token", GITHUB_API_URL: server.url, ROUNDUP_CONFIG: path.join(dir, "roundup.json") };
+        // The LLM provider is configured from process.env
+        Object.assign(process.env, { LLM_PROVIDER: "openai", LLM_ENDPOINT: `${server.url}/v1`, OPENAI_API_KEY: "test-key" });
+    });
+
+    after(async () => {
+        process.env = savedEnv;
+        await server.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        mock.method(console, "log", () => {});
+        mock.method(console, "warn", () => {});
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    const period = ["--repo", DEFAULT_REPO, "--since", "2026-01-08", "--until", "2026-01-14", "--timezone", "UTC"];
+
+    test("generate writes the Markdown body to stdout for a custom period", async () => {
+        const stdout = output();
+        const report = await run(["generate", ...period], { env, stdout });
+
+        assert.strictEqual(report.title, "AWL Roundup | 8 January 2026 - 14 January 2026");
+        assert.strictEqual(report.period.start, "2026-01-08T00:00:00.000Z");
+        assert.ok(stdout.text().includes("<!-- roundup-period: 2026-01-08..2026-01-14 -->"));
+        assert.ok(stdout.text().includes("<details>"));
+        // Nothing is posted, and the summary cache isn't written
+        assert.strictEqual(server.state.mutations.length, 0);
+        assert.ok(!fs.existsSync(path.join(dir, "summary-cache.json")));
+    });
+
+    test("generate writes JSON and HTML files", async () => {
+        const json = path.join(dir, "out", "report.json");
+        await run(["generate", ...period, "--format", "json", "--out", json], { env, stdout: output() });
+        assert.strictEqual(JSON.parse(fs.readFileSync(json, "utf8")).repositories[0].name, DEFAULT_REPO);
+
+        const html = path.join(dir, "out", "report.html");
+        await run(["generate", ...period, "--format", "html", "--out", html], { env, stdout: output() });
+        assert.match(fs.readFileSync(html, "utf8"), /^<!DOCTYPE html>/);
+    });
+
+    test("preview serves the body as rendered by GitHub", async () => {
+        const preview = await run(["preview", ...period, "--port", "0"], { env, stdout: output() });
+        try {
+            const page = await (await fetch(preview.url)).text();
+            const rendered = server.state.markdownRenders.at(-1);
+
+            assert.strictEqual(rendered.context, DEFAULT_REPO);
+            assert.ok(rendered.text.includes("<!-- roundup-period: 2026-01-08..2026-01-14 -->"));
+            assert.ok(page.includes('<h1 class="discussion-title">AWL Roundup | 8 January 2026 - 14 January 2026</h1>'));
+            assert.ok(page.includes('<pre class="rendered-markdown">'));
+            assert.strictEqual((await fetch(new URL("/favicon.ico", preview.url))).status, 404);
+        } finally {
+            await preview.close();
+        }
+    });
+
+    test("rejects wrong arguments before fetching anything", async () => {
+        const searches = server.state.searchPages;
+        const usage = (argv, message) => assert.rejects(run(argv, { env, stdout: output() }), (error) => {
+            assert.ok(error instanceof UsageError);
+            assert.match(error.message, message);
+            return true;
+        });
+
+        await usage(["publish"], /Unknown command "publish"/);
+        await usage(["generate", ...period, "--format", "pdf"], /--format must be one of md, html, json/);
+        await usage(["generate", "--repo", DEFAULT_REPO, "--until", "2026-01-14"], /--until needs --since/);
+        await usage(["generate", "--repo", DEFAULT_REPO, "--since", "8 Jan"], /--since must be a YYYY-MM-DD date/);
+        await usage(["generate", "--repo", DEFAULT_REPO, "--since", "2026-01-08", "--timezone", "Bogus"], /--timezone must be an IANA name such as "Asia\/Kolkata" \(got "Bogus"\)/);
+        await usage(["generate", "--since", "2026-01-08"], /--repo/);
+        await usage(["preview", ...period, "--port", "http"], /--port must be a port number/);
+        assert.strictEqual(server.state.searchPages, searches);
+    });
+
+    test("prints the usage without a command", async () => {
+        const stdout = output();
+        assert.strictEqual(await run([], { env, stdout }), null);
+        assert.match(stdout.text(), /^Usage: awl-roundup <command>/);
+    });
+});
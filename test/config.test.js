@@ -0,0 +1,50 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { loadConfig, ConfigError, DEFAULTS } = require("../lib/config");
+
+let dir;
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "roundup-config-"));
+    fs.mkdirSync(path.join(dir, ".github"));
+    delete process.env.ROUNDUP_CONFIG;
+});
+
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("uses the defaults without a config file", () => {
+    assert.deepStrictEqual(loadConfig(dir), { ...DEFAULTS, source: null });
+});
+
+test("merges nested sections and replaces arrays", () => {
+    fs.writeFileSync(path.join(dir, ".github", "roundup.yml"), "coreTeam: [alice]\nllm:\n  maxRetries: 5\n");
+    const config = loadConfig(dir);
+
+    assert.deepStrictEqual(config.coreTeam, ["alice"]);
+    assert.strictEqual(config.llm.maxRetries, 5);
+    assert.strictEqual(config.llm.provider, DEFAULTS.llm.provider);
+});
+
+test("lists every problem in one error", () => {
+    fs.writeFileSync(path.join(dir, ".github", "roundup.json"), JSON.stringify({ colour: "red", llm: { provider: "nope", maxRetries: -1 } }));
+
+    assert.throws(() => loadConfig(dir), (error) => {
+        assert.ok(error instanceof ConfigError);
+        assert.match(error.message, /"colour" is not a known option/);
+        assert.match(error.message, /"llm.provider" must be one of/);
+        assert.match(error.message, /"llm.maxRetries" must be at least 0/);
+        return true;
+    });
+});
+
+test("rejects redaction patterns that are not valid regular expressions", () => {
+    fs.writeFileSync(path.join(dir, ".github", "roundup.yml"), "redaction:\n  patterns: ['internal\\.example\\.org', 'token-(']\n");
+
+    assert.throws(() => loadConfig(dir), /"redaction.patterns\[1\]" is not a valid regular expression/);
+});
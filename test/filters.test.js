@@ -0,0 +1,61 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+
+const { DEFAULTS } = require("../lib/config");
+const { createItemFilter, createDependencyDetector, parseDependencyUpdate, actorLogin } = require("../lib/filters");
+
+const item = (title, { author = "alice", bot = false, labels = [] } = {}) => ({
+    title,
+    author: { __typename: bot ? "Bot" : "User", login: author },
+    labels: { nodes: labels.map(name => ({ name })) },
+});
+
+const rules = (overrides = {}) => ({ authors: [], labels: [], titles: [], ...overrides });
+
+test("bots get the [bot] suffix whichever API reported them", () => {
+    assert.strictEqual(actorLogin({ __typename: "Bot", login: "dependabot" }), "dependabot[bot]");
+    assert.strictEqual(actorLogin({ login: "renovate[bot]" }), "renovate[bot]");
+    assert.strictEqual(actorLogin({ __typename: "User", login: "alice" }), "alice");
+});
+
+test("exclude rules drop items by author (with wildcards), label or title", () => {
+    const keep = createItemFilter({
+        include: rules(),
+        exclude: rules({ authors: ["*[bot]"], labels: ["WIP"], titles: ["^experiment"] }),
+    });
+
+    assert.strictEqual(keep(item("feat: panel")), true);
+    assert.strictEqual(keep(item("chore: sync", { author: "github-actions", bot: true })), false);
+    assert.strictEqual(keep(item("feat: panel", { labels: ["wip"] })), false);
+    assert.strictEqual(keep(item("Experiment with streaming")), false);
+});
+
+test("include rules keep only matching items, exclude rules still apply", () => {
+    const keep = createItemFilter({
+        include: rules({ labels: ["extension"] }),
+        exclude: rules({ authors: ["mallory"] }),
+    });
+
+    assert.strictEqual(keep(item("feat: panel", { labels: ["extension"] })), true);
+    assert.strictEqual(keep(item("feat: site")), false);
+    assert.strictEqual(keep(item("feat: panel", { author: "mallory", labels: ["extension"] })), false);
+});
+
+test("parses package and versions from Dependabot and Renovate titles", () => {
+    assert.deepStrictEqual(parseDependencyUpdate("chore(deps-dev): bump @types/node from 20.1.0 to 20.2.0 in /packages/app"),
+        { package: "@types/node", from: "20.1.0", to: "20.2.0", directory: "/packages/app" });
+    assert.deepStrictEqual(parseDependencyUpdate("Update dependency eslint to v9"),
+        { package: "eslint", from: null, to: "v9", directory: null });
+    assert.deepStrictEqual(parseDependencyUpdate("Update actions/checkout action to v4"),
+        { package: "actions/checkout", from: null, to: "v4", directory: null });
+    assert.strictEqual(parseDependencyUpdate("Update README to v2"), null);
+});
+
+test("detects dependency updates by bot, label or title", () => {
+    const isDependencyUpdate = createDependencyDetector(DEFAULTS.dependencyUpdates);
+
+    assert.strictEqual(isDependencyUpdate(item("Bump the npm_and_yarn group across 1 directory with 2 updates", { author: "dependabot", bot: true })), true);
+    assert.strictEqual(isDependencyUpdate(item("chore: refresh lockfile", { labels: ["dependencies"] })), true);
+    assert.strictEqual(isDependencyUpdate(item("Bump vite from 5.0.0 to 5.1.0")), true);
+    assert.strictEqual(isDependencyUpdate(item("feat: panel")), false);
+});
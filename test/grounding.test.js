@@ -0,0 +1,86 @@
+const { test, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert");
+
+const { extractReferences, findUngroundedReferences, verifySummaries } = require("../lib/grounding");
+
+const pr = (aiSummary) => ({
+    url: "https://github.com/o/r/pull/1",
+    title: "feat: keyboard shortcuts",
+    body: "Adds shortcuts, see docs/shortcuts.md",
+    changedFiles: ["src/panel/shortcuts.ts", "src/panel/index.ts"],
+    diffContext: "File: src/panel/shortcuts.ts\nDiff Preview:\n+export const registerShortcuts = (panel) => panel.on_key(handleKey);",
+    aiSummary,
+});
+
+beforeEach(() => {
+    mock.method(console, "log", () => {});
+});
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+test("extracts file paths, code spans and code-like identifiers but not prose", () => {
+    const { files, identifiers } = extractReferences(
+        "Adds `registerShortcuts()` to shortcuts.ts and src/panel/index.ts, wires panel.on_key via handleKey() "
+        + "for Node.js and macOS users. See https://example.com/guide.md for details."
+    );
+
+    assert.deepStrictEqual(files, ["shortcuts.ts", "src/panel/index.ts"]);
+    assert.deepStrictEqual(identifiers, ["registerShortcuts", "handleKey", "on_key"]);
+});
+
+test("accepts references found in the changed files, diff, title or description", () => {
+    assert.deepStrictEqual(findUngroundedReferences(pr("Adds `registerShortcuts` in index.ts, documented in docs/shortcuts.md.")), []);
+    assert.deepStrictEqual(
+        findUngroundedReferences(pr("Adds `registerHotkeys()` to src/keys/hotkeys.ts and calls panel.on_key.")),
+        ["src/keys/hotkeys.ts", "registerHotkeys"]
+    );
+});
+
+test("capitalised file names are checked, only .js product names are skipped", () => {
+    assert.deepStrictEqual(
+        findUngroundedReferences(pr("Moves the shortcuts from SidePanel.tsx into helpers.ts for Next.js, noted in CHANGELOG.md.")),
+        ["SidePanel.tsx", "helpers.ts", "CHANGELOG.md"]
+    );
+});
+
+test("regenerates flagged summaries with a note and falls back when they still fail", async () => {
+    const fixed = pr("Adds `registerHotkeys()`.");
+    const stubborn = { ...pr("Touches `legacyKeymap`."), url: "https://github.com/o/r/pull/2" };
+    const fine = { ...pr("Adds `registerShortcuts`."), url: "https://github.com/o/r/pull/3" };
+    const regenerated = [];
+
+    const result = await verifySummaries([fixed, stubborn, fine], {
+        onFailure: "regenerate",
+        regenerate: async (prs) => {
+            regenerated.push(...prs.map(p => [p.url, p.ungroundedReferences]));
+            fixed.aiSummary = "Adds `registerShortcuts` to the panel.";
+            stubborn.aiSummary = "Still touches `legacyKeymap`.";
+        },
+    });
+
+    assert.deepStrictEqual(regenerated, [[fixed.url, ["registerHotkeys"]], [stubborn.url, ["legacyKeymap"]]]);
+    assert.deepStrictEqual(result, {
+        checked: 3,
+        flagged: [
+            { url: fixed.url, title: fixed.title, references: ["registerHotkeys"], action: "regenerated" },
+            { url: stubborn.url, title: stubborn.title, references: ["legacyKeymap"], action: "fallback" },
+        ],
+    });
+    assert.strictEqual(fixed.aiSummary, "Adds `registerShortcuts` to the panel.");
+    assert.strictEqual(stubborn.aiSummary, undefined);
+    assert.strictEqual(fine.aiSummary, "Adds `registerShortcuts`.");
+});
+
+test("fallback drops flagged summaries, mark keeps them with the references", async () => {
+    const dropped = pr("Adds `registerHotkeys()`.");
+    await verifySummaries([dropped], { onFailure: "fallback", regenerate: () => assert.fail("not regenerated") });
+    assert.strictEqual(dropped.aiSummary, undefined);
+
+    const marked = pr("Adds `registerHotkeys()`.");
+    const { flagged } = await verifySummaries([marked], { onFailure: "mark", regenerate: () => assert.fail("not regenerated") });
+    assert.strictEqual(marked.aiSummary, "Adds `registerHotkeys()`.");
+    assert.deepStrictEqual(marked.ungroundedReferences, ["registerHotkeys"]);
+    assert.strictEqual(flagged[0].action, "marked");
+});
@@ -0,0 +1,166 @@
+const http = require("http");
+
+// Local stand-in for the GitHub GraphQL API (search, releases, tags, commits, discussions), the REST `pulls/{n}/files` and
+// `markdown` endpoints and an OpenAI-compatible LLM, all answering from a recorded week fixture.
+
+const PAGE_SIZE = 100;
+
+const json = (res, status, body) => {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+    let data = "";
+    req.on("data", chunk => { data += chunk; });
+    req.on("end", () => resolve(data ? JSON.parse(data) : {}));
+    req.on("error", reject);
+});
+
+// Supports the qualifiers the action uses: repo:, is:pr/is:issue, is:open and updated:A..B
+const searchItems = (week, q) => {
+    const repo = (q.match(/repo:(\S+)/) || [])[1];
+    const kind = q.includes("is:pr") ? "PullRequest" : "Issue";
+    const updated = q.match(/updated:(\S+)\.\.(\S+)/);
+    return [...week.prs, ...week.issues].filter(item => item.__typename === kind
+        && item.repository.nameWithOwner === repo
+        && (!q.includes("is:open") || item.state === "OPEN")
+        && (!updated || (item.updatedAt >= updated[1] && item.updatedAt <= updated[2])));
+};
+
+const handleGraphQL = (week, state, { query, variables }) => {
+    if (query.includes("type: REPOSITORY")) {
+        return { search: { pageInfo: { hasNextPage: false, endCursor: null }, nodes: (week.orgRepos || []).map(nameWithOwner => ({ nameWithOwner })) } };
+    }
+
+    // First-time contributor check: any PR by the author merged before the period?
+    if (query.includes("first: 1)")) {
+        const author = (variables.q.match(/author:(\S+)/) || [])[1];
+        return { search: { issueCount: (week.previousMergedAuthors || []).includes(author) ? 1 : 0 } };
+    }
+
+    if (query.includes("type: ISSUE")) {
+        const matches = searchItems(week, variables.q);
+        const offset = variables.cursor ? parseInt(variables.cursor, 10) : 0;
+        const nodes = matches.slice(offset, offset + PAGE_SIZE);
+        const hasNextPage = offset + PAGE_SIZE < matches.length;
+        state.searchPages++;
+        return { search: { issueCount: matches.length, pageInfo: { hasNextPage, endCursor: hasNextPage ? String(offset + PAGE_SIZE) : null }, nodes } };
+    }
+
+    if (query.includes("node(id:")) {
+        const field = query.includes("reviews(") ? "reviews" : "comments";
+        const extra = ((week.extraPages || {})[variables.id] || {})[field] || [];
+        return { node: { [field]: { pageInfo: { hasNextPage: false, endCursor: null }, nodes: extra } } };
+    }
+
+    if (query.includes("releases(first")) {
+        const repo = `${variables.owner}/${variables.name}`;
+        const nodes = (week.releases || []).filter(r => r.repository === repo).map(({ repository, ...release }) => release);
+        return { repository: { releases: { pageInfo: { hasNextPage: false, endCursor: null }, nodes } } };
+    }
+
+    if (query.includes("refs(refPrefix")) {
+        const repo = `${variables.owner}/${variables.name}`;
+        const nodes = (week.tags || []).filter(t => t.repository === repo).map(({ repository, ...tag }) => tag);
+        return { repository: { refs: { pageInfo: { hasNextPage: false, endCursor: null }, nodes } } };
+    }
+
+    if (query.includes("history(")) {
+        const repo = `${variables.owner}/${variables.name}`;
+        const nodes = (week.commits || [])
+            .filter(c => c.repository === repo && c.committedDate >= variables.since && c.committedDate <= variables.until)
+            .map(({ repository, ...commit }) => commit);
+        return { repository: { defaultBranchRef: { target: { history: { pageInfo: { hasNextPage: false, endCursor: null }, nodes } } } } };
+    }
+
+    if (query.includes("discussionCategories")) {
+        return { repository: { id: "R_target", discussionCategories: { nodes: week.discussionCategories || [{ id: "C_announcements", name: "Announcements" }] } } };
+    }
+
+    if (query.includes("discussions(first")) {
+        return { repository: { discussions: { nodes: week.discussions || [] } } };
+    }
+
+    if (query.includes("createDiscussion") || query.includes("updateDiscussion")) {
+        const mutation = query.includes("createDiscussion") ? "createDiscussion" : "updateDiscussion";
+        state.mutations.push({ mutation, variables });
+        return { [mutation]: { discussion: { url: `https://github.com/target/repo/discussions/${state.mutations.length}` } } };
+    }
+
+    throw new Error(`Fake server has no answer for query: ${query.trim().split("\n")[0]}`);
+};
+
+// Builds a valid summaries reply from the prompt, using the fixture's recorded summary per PR title
+const autoSummaries = (week, prompt) => {
+    const summaries = [];
+    const pattern = /PR #(\d+)\nRepository: .*\nTitle: "(.*)"/g;
+    let match;
+    while ((match = pattern.exec(prompt))) {
+        const title = match[2];
+        summaries.push({ index: Number(match[1]), summary: (week.llm.summaries || {})[title] || `Recorded summary for "${title}".` });
+    }
+    return JSON.stringify({ summaries });
+};
+
+const handleLLM = (week, state, body) => {
+    const prompt = body.messages[0].content;
+    state.llmPrompts.push(prompt);
+
+    let content;
+    const release = prompt.match(/release notes of (.+?) in 1-2 sentences/);
+    if (release) {
+        content = (week.llm.releaseNotes || {})[release[1]] || `Recorded summary of the ${release[1]} release notes.`;
+    } else if (prompt.includes("Blended Summary")) {
+        // `responses` replays raw replies in order (e.g. malformed ones) before falling back to recorded summaries
+        content = state.llmResponses.length > 0 ? state.llmResponses.shift() : autoSummaries(week, prompt);
+    } else {
+        content = week.llm.overview || "Highlights include recorded progress.";
+    }
+    return { choices: [{ message: { role: "assistant", content } }] };
+};
+
+/**
+ * Starts the stand-in on a random local port. `state` records what was asked
+ * (search pages, LLM prompts, discussion mutations, Markdown renders) for assertions.
+ */
+const startFakeServer = (week) => new Promise((resolve) => {
+    const state = { searchPages: 0, mutations: [], markdownRenders: [], llmPrompts: [], llmResponses: [...((week.llm || {}).responses || [])] };
+    week.llm = week.llm || {};
+
+    const server = http.createServer(async (req, res) => {
+        try {
+            if (req.method === "POST" && req.url === "/graphql") {
+                return json(res, 200, { data: handleGraphQL(week, state, await readBody(req)) });
+            }
+
+            const files = req.url.match(/^\/repos\/([^/]+\/[^/]+)\/pulls\/(\d+)\/files/);
+            if (req.method === "GET" && files) {
+                return json(res, 200, (week.files || {})[`${files[1]}#${files[2]}`] || []);
+            }
+
+            // Stands in for GitHub's renderer with the escaped source, enough to see what was rendered
+            if (req.method === "POST" && req.url === "/markdown") {
+                const { text, context } = await readBody(req);
+                state.markdownRenders.push({ text, context });
+                res.writeHead(200, { "Content-Type": "text/html" });
+                return res.end(`<pre class="rendered-markdown">${text.replace(/&/g, "&amp;").replace(/</g, "&lt;")}</pre>`);
+            }
+
+            if (req.method === "POST" && req.url === "/v1/chat/completions") {
+                return json(res, 200, handleLLM(week, state, await readBody(req)));
+            }
+
+            json(res, 404, { message: "Not Found" });
+        } catch (error) {
+            json(res, 500, { message: error.message });
+        }
+    });
+
+    server.listen(0, "127.0.0.1", () => {
+        const url = `http://127.0.0.1:${server.address().port}`;
+        resolve({ url, state, close: () => new Promise(done => server.close(done)) });
+    });
+});
+
+module.exports = { startFakeServer };
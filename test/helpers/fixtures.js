@@ -0,0 +1,108 @@
+const fs = require("fs");
+const path = require("path");
+
+const FIXTURES_DIR = path.join(__dirname, "..", "fixtures");
+
+const DEFAULT_REPO = "amedina/agentic-web-learning-tool";
+
+const emptyConnection = () => ({ pageInfo: { hasNextPage: false, endCursor: null }, nodes: [] });
+
+// GraphQL returns bots by app name ("dependabot") with an /apps/ URL
+const user = (login) => (login.endsWith("[bot]")
+    ? { __typename: "Bot", login: login.replace(/\[bot\]$/, ""), url: `https://github.com/apps/${login.replace(/\[bot\]$/, "")}` }
+    : { __typename: "User", login, url: `https://github.com/${login}` });
+
+// Fills in what the GraphQL search would return but the recorded fixtures leave out
+const normalizeItem = (item, kind) => {
+    const repository = item.repository || DEFAULT_REPO;
+    const segment = kind === "PullRequest" ? "pull" : "issues";
+    const normalized = {
+        __typename: kind,
+        id: `${kind}_${repository}_${item.number}`,
+        body: "",
+        state: "OPEN",
+        closedAt: null,
+        updatedAt: item.createdAt,
+        url: `https://github.com/${repository}/${segment}/${item.number}`,
+        ...item,
+        author: typeof item.author === "string" ? user(item.author) : item.author || null,
+        repository: { nameWithOwner: repository, isPrivate: Boolean(item.private) },
+        labels: { nodes: (item.labels || []).map(name => ({ name })) },
+        comments: { ...emptyConnection(), nodes: (item.comments || []).map(c => ({ author: user(c.author), createdAt: c.createdAt })) },
+    };
+    if (kind === "PullRequest") {
+        normalized.mergedAt = item.mergedAt || null;
+        normalized.isDraft = Boolean(item.isDraft);
+        normalized.headRefOid = item.headRefOid || `head-of-${item.number}`;
+        normalized.reviews = { ...emptyConnection(), nodes: (item.reviews || []).map(r => ({ author: user(r.author), state: r.state || "APPROVED", submittedAt: r.submittedAt })) };
+        normalized.commits = { nodes: [{ commit: { committedDate: item.lastCommitAt || item.createdAt } }] };
+    }
+    return normalized;
+};
+
+const normalizeRelease = (release) => {
+    const repository = release.repository || DEFAULT_REPO;
+    return {
+        name: release.tagName,
+        url: `https://github.com/${repository}/releases/tag/${release.tagName}`,
+        isDraft: false,
+        isPrerelease: false,
+        description: "",
+        ...release,
+        publishedAt: release.publishedAt || release.createdAt,
+        author: release.author ? user(release.author) : null,
+        repository,
+    };
+};
+
+// Annotated tags carry a tagger date, lightweight ones only point at a commit
+const normalizeTag = (tag) => ({
+    repository: tag.repository || DEFAULT_REPO,
+    name: tag.name,
+    target: tag.annotated ? { tagger: { date: tag.date }, target: { committedDate: tag.date } } : { committedDate: tag.date },
+});
+
+const normalizeCommit = (commit) => {
+    const repository = commit.repository || DEFAULT_REPO;
+    return {
+        repository,
+        oid: commit.oid,
+        abbreviatedOid: commit.oid.slice(0, 7),
+        messageHeadline: commit.messageHeadline,
+        url: `https://github.com/${repository}/commit/${commit.oid}`,
+        committedDate: commit.committedDate,
+        author: commit.login ? { name: commit.login, user: user(commit.login) } : { name: commit.authorName, user: null },
+        associatedPullRequests: { nodes: (commit.prs || []).map(number => ({ url: `https://github.com/${repository}/pull/${number}` })) },
+    };
+};
+
+const normalizeWeek = (week) => ({
+    ...week,
+    prs: (week.prs || []).map(pr => normalizeItem(pr, "PullRequest")),
+    issues: (week.issues || []).map(issue => normalizeItem(issue, "Issue")),
+    releases: (week.releases || []).map(normalizeRelease),
+    tags: (week.tags || []).map(normalizeTag),
+    commits: (week.commits || []).map(normalizeCommit),
+});
+
+// Recorded week from test/fixtures/<name>.json
+const loadWeek = (name) => normalizeWeek(JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.json`), "utf8")));
+
+// A busy week with more PRs than fit in one search page (100 per page)
+const buildBusyWeek = (count = 120) => normalizeWeek({
+    now: "2026-01-14T11:30:00Z",
+    prs: Array.from({ length: count }, (_, i) => ({
+        number: 1000 + i,
+        title: `${i % 3 === 0 ? "fix" : "feat"}: change number ${i + 1}`,
+        body: `Change number ${i + 1} of a busy week.`,
+        author: `dev-${i % 7}`,
+        state: "MERGED",
+        createdAt: "2026-01-08T09:00:00Z",
+        mergedAt: "2026-01-09T09:00:00Z",
+        updatedAt: "2026-01-09T09:00:00Z",
+    })),
+    issues: [],
+    previousMergedAuthors: Array.from({ length: 7 }, (_, i) => `dev-${i}`),
+});
+
+module.exports = { loadWeek, buildBusyWeek, DEFAULT_REPO };
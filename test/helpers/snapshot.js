@@ -0,0 +1,24 @@
+const fs = require("fs");
+const path = require("path");
+const assert = require("node:assert");
+
+const SNAPSHOTS_DIR = path.join(__dirname, "..", "__snapshots__");
+
+/**
+ * Compares `actual` with test/__snapshots__/<name>. Missing snapshots are written
+ * on first run (never on CI); run with UPDATE_SNAPSHOTS=1 to accept changes.
+ */
+const matchSnapshot = (actual, name) => {
+    const file = path.join(SNAPSHOTS_DIR, name);
+
+    if (process.env.UPDATE_SNAPSHOTS === "1" || (!fs.existsSync(file) && !process.env.CI)) {
+        fs.mkdirSync(SNAPSHOTS_DIR, { recursive: true });
+        fs.writeFileSync(file, actual);
+        return;
+    }
+
+    assert.ok(fs.existsSync(file), `Snapshot ${name} is missing, run the tests locally to create it.`);
+    assert.strictEqual(actual, fs.readFileSync(file, "utf8"), `Output differs from snapshot ${name} (UPDATE_SNAPSHOTS=1 to accept).`);
+};
+
+module.exports = { matchSnapshot };
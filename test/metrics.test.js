@@ -0,0 +1,81 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { computeMetrics, buildMetricsSummary, loadHistory, saveHistory } = require("../lib/metrics");
+
+const period = { start: "2026-01-07T11:30:00.000Z", end: "2026-01-14T11:30:00.000Z", cadence: "weekly", noun: "week", timezone: "UTC" };
+const repositories = ["o/r"];
+
+const metrics = (overrides) => ({
+    prsMerged: 4,
+    medianHoursToMerge: 30,
+    medianHoursToFirstReview: 5,
+    issuesOpened: 2,
+    issuesClosed: 1,
+    activeContributors: 3,
+    ...overrides,
+});
+
+const entry = (start, end, values, extra = {}) => ({ start, end, cadence: "weekly", noun: "week", repositories, metrics: metrics(values), ...extra });
+
+test("computes medians from the period's items", () => {
+    const prs = [
+        { createdAt: "2026-01-08T00:00:00Z", mergedAt: "2026-01-08T10:00:00Z", author: { login: "a" }, reviews: { nodes: [{ author: { login: "b" }, submittedAt: "2026-01-08T02:00:00Z" }] } },
+        { createdAt: "2026-01-06T00:00:00Z", mergedAt: "2026-01-09T00:00:00Z", author: { login: "a" }, reviews: { nodes: [{ author: { login: "a" }, submittedAt: "2026-01-08T00:00:00Z" }] } },
+        { createdAt: "2026-01-01T00:00:00Z", mergedAt: null, author: { login: "a" }, reviews: { nodes: [{ author: { login: "b" }, submittedAt: "2026-01-02T00:00:00Z" }] } },
+    ];
+    const issues = [{ createdAt: "2026-01-08T00:00:00Z", closedAt: null }, { createdAt: "2025-12-01T00:00:00Z", closedAt: "2026-01-09T00:00:00Z" }];
+
+    assert.deepStrictEqual(computeMetrics({ prs, issues, contributors: [{ active: true }, { active: false }], period }), {
+        prsMerged: 2,
+        medianHoursToMerge: 41,
+        medianHoursToFirstReview: 2,
+        issuesOpened: 1,
+        issuesClosed: 1,
+        activeContributors: 1,
+    });
+});
+
+test("compares with the latest earlier period of the same series", () => {
+    const history = [
+        entry("2025-12-24T11:30:00.000Z", "2025-12-31T11:30:00.000Z", { prsMerged: 1 }),
+        entry("2025-12-31T11:30:00.000Z", "2026-01-07T11:30:00.000Z", { prsMerged: 6, medianHoursToMerge: 90 }),
+        entry("2025-12-01T00:00:00.000Z", "2026-01-01T00:00:00.000Z", { prsMerged: 40 }, { cadence: "monthly" }),
+        entry("2025-12-31T11:30:00.000Z", "2026-01-07T11:30:00.000Z", { prsMerged: 9 }, { repositories: ["o/other"] }),
+    ];
+    const summary = buildMetricsSummary(metrics(), history, { period, repositories, sparkline: "ascii" });
+    const row = (key) => summary.rows.find(r => r.key === key);
+
+    assert.strictEqual(summary.previousPeriod.end, "2026-01-07T11:30:00.000Z");
+    assert.deepStrictEqual([row("prsMerged").value, row("prsMerged").delta, row("prsMerged").trend], ["4", "▼ 2", "▁█▅"]);
+    assert.deepStrictEqual([row("medianHoursToMerge").value, row("medianHoursToMerge").delta], ["30 h", "▼ 2.5 days"]);
+    assert.strictEqual(row("issuesOpened").delta, "=");
+});
+
+test("has no deltas or chart without history", () => {
+    const summary = buildMetricsSummary(metrics({ medianHoursToFirstReview: null }), [], { period, repositories, sparkline: "mermaid" });
+
+    assert.strictEqual(summary.previousPeriod, null);
+    assert.ok(summary.rows.every(r => r.delta === "—" && r.trend === null));
+    assert.strictEqual(summary.rows.find(r => r.key === "medianHoursToFirstReview").value, "—");
+    assert.strictEqual(summary.chart, null);
+});
+
+test("re-running a period replaces its history entry", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "roundup-history-"));
+    const file = path.join(dir, "nested", "history.json");
+    const report = { period, repositories: [{ name: "o/r" }], metrics: { current: metrics() } };
+
+    try {
+        saveHistory(file, loadHistory(file), report);
+        const count = saveHistory(file, loadHistory(file), { ...report, metrics: { current: metrics({ prsMerged: 5 }) } });
+
+        assert.strictEqual(count, 1);
+        assert.strictEqual(loadHistory(file).periods[0].metrics.prsMerged, 5);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,41 @@
+const { test, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { resolvePeriod } = require("../lib/period");
+const { createFileSink } = require("../lib/outputs/file");
+
+const titlePrefixes = { weekly: "Week", biweekly: "Fortnight", monthly: "Month", custom: "Roundup" };
+const ist = { timezone: "Asia/Kolkata", cutoffTime: "17:00", titlePrefixes };
+
+let dir;
+
+beforeEach(() => {
+    mock.method(console, "log", () => {});
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "roundup-files-"));
+});
+
+afterEach(() => {
+    mock.restoreAll();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// File name the markdown sink picks for the period resolved at `now`
+const archivedAs = async (now, options) => {
+    const runDir = fs.mkdtempSync(path.join(dir, "run-"));
+    const sink = createFileSink({ name: "markdown", dir: runDir, extension: "md", render: () => "" });
+    const period = resolvePeriod(new Date(now), { ...ist, ...options });
+    await sink.publish({ period }, "body");
+    return fs.readdirSync(runDir);
+};
+
+test("archived roundups are named after the last day of the period", async () => {
+    assert.deepStrictEqual(await archivedAs("2026-01-14T13:15:00Z"), ["2026-01-14.md"]);
+    assert.deepStrictEqual(await archivedAs("2026-02-03T10:00:00Z", { period: "monthly" }), ["2026-01-31.md"]);
+});
+
+test("custom ranges are named after the last day of the range", async () => {
+    assert.deepStrictEqual(await archivedAs("2026-02-03T10:00:00Z", { period: "2026-01-01..2026-01-31" }), ["2026-01-31.md"]);
+});
@@ -0,0 +1,59 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+
+const { resolvePeriod, resolveRunDate } = require("../lib/period");
+
+const titlePrefixes = { weekly: "Week", biweekly: "Fortnight", monthly: "Month", custom: "Roundup" };
+const ist = { timezone: "Asia/Kolkata", cutoffTime: "17:00" };
+
+test("weekly windows end at the latest cutoff in the timezone", () => {
+    // 18:45 IST, a delayed scheduled run still covers the window ending at 17:00 IST
+    const period = resolvePeriod(new Date("2026-01-14T13:15:00Z"), { ...ist, titlePrefixes });
+
+    assert.strictEqual(period.start, "2026-01-07T11:30:00.000Z");
+    assert.strictEqual(period.end, "2026-01-14T11:30:00.000Z");
+    assert.strictEqual(period.title, "Week | 7 January 2026 - 14 January 2026");
+    assert.strictEqual(period.marker, "<!-- roundup-period: 2026-01-07..2026-01-14 -->");
+});
+
+test("runs before the cutoff report the window ending the day before", () => {
+    const period = resolvePeriod(new Date("2026-01-14T05:00:00Z"), { ...ist, period: "biweekly", titlePrefixes });
+
+    assert.strictEqual(period.start, "2025-12-30T11:30:00.000Z");
+    assert.strictEqual(period.end, "2026-01-13T11:30:00.000Z");
+    assert.strictEqual(period.title, "Fortnight | 30 December 2025 - 13 January 2026");
+    assert.strictEqual(period.noun, "fortnight");
+});
+
+test("monthly windows cover the previous calendar month in the timezone", () => {
+    // Already 1 March in Kolkata, still 28 February in UTC
+    const period = resolvePeriod(new Date("2026-02-28T20:00:00Z"), { ...ist, period: "monthly", titlePrefixes });
+
+    assert.strictEqual(period.start, "2026-01-31T18:30:00.000Z");
+    assert.strictEqual(period.end, "2026-02-28T18:30:00.000Z");
+    assert.strictEqual(period.title, "Month | February 2026");
+    assert.strictEqual(period.marker, "<!-- roundup-period: 2026-02-01..2026-02-28 -->");
+});
+
+test("custom ranges include both dates and follow DST", () => {
+    const period = resolvePeriod(new Date(), { timezone: "America/New_York", period: "2026-03-01..2026-03-14", titlePrefixes });
+
+    assert.strictEqual(period.cadence, "custom");
+    assert.strictEqual(period.start, "2026-03-01T05:00:00.000Z");
+    // Daylight saving time starts on 8 March
+    assert.strictEqual(period.end, "2026-03-15T04:00:00.000Z");
+    assert.strictEqual(period.title, "Roundup | 1 March 2026 - 14 March 2026");
+});
+
+test("rejects unknown periods, reversed ranges and timezones", () => {
+    const now = new Date("2026-01-14T11:30:00Z");
+    assert.throws(() => resolvePeriod(now, { period: "daily", titlePrefixes }), /Unknown period "daily"/);
+    assert.throws(() => resolvePeriod(now, { period: "2026-02-01..2026-01-01", titlePrefixes }), /ends before it starts/);
+    assert.throws(() => resolvePeriod(now, { timezone: "Mars/Olympus", titlePrefixes }), /Unknown timezone "Mars\/Olympus"/);
+});
+
+test("a bare DATE_OVERRIDE date simulates the scheduled run on that day", () => {
+    assert.strictEqual(resolveRunDate("2026-01-14", ist).toISOString(), "2026-01-14T11:30:00.000Z");
+    assert.strictEqual(resolveRunDate("2026-01-14T08:00:00Z", ist).toISOString(), "2026-01-14T08:00:00.000Z");
+    assert.throws(() => resolveRunDate("next tuesday", ist), /not a valid date/);
+});
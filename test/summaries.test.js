@@ -0,0 +1,44 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+
+const { chunkPRs, parseSummaries, buildPrompt, estimateTokens } = require("../lib/summaries");
+
+const pr = (number, promptBody = "") => ({
+    number,
+    title: `feat: change ${number}`,
+    promptBody,
+    state: "MERGED",
+    url: `https://github.com/o/r/pull/${number}`,
+    repository: { nameWithOwner: "o/r" },
+});
+
+test("chunks stay under the token budget", () => {
+    const prs = Array.from({ length: 12 }, (_, i) => pr(i, "x".repeat(300)));
+    const chunks = chunkPRs(prs, 1000);
+
+    assert.ok(chunks.length > 1);
+    assert.deepStrictEqual(chunks.flat(), prs);
+    for (const chunk of chunks) {
+        assert.ok(chunk.length === 1 || estimateTokens(buildPrompt(chunk)) <= 1000);
+    }
+});
+
+test("the prompt names the period's cadence", () => {
+    assert.match(buildPrompt([pr(1)]), /writing a weekly engineering newsletter/);
+    assert.match(buildPrompt([pr(1)], "monthly"), /writing a monthly engineering newsletter/);
+});
+
+test("a PR larger than the budget gets a chunk of its own", () => {
+    const huge = { ...pr(1), diffContext: "y".repeat(10000) };
+    assert.deepStrictEqual(chunkPRs([pr(0), huge, pr(2)], 1000).map(c => c.map(p => p.number)), [[0], [1], [2]]);
+});
+
+test("parses replies wrapped in prose and drops malformed entries", () => {
+    const reply = 'Sure! {"summaries": [{"index": 0, "summary": " First. "}, {"index": 5, "summary": "Out of range"}, {"index": 1, "summary": ""}]}';
+    assert.deepStrictEqual([...parseSummaries(reply, 2)], [[0, "First."]]);
+});
+
+test("rejects replies without a summaries array", () => {
+    assert.throws(() => parseSummaries("no json here", 1), /no JSON object/);
+    assert.throws(() => parseSummaries('{"summary": "x"}', 1), /no "summaries" array/);
+});
@@ -0,0 +1,61 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { loadSummaryCache, applyCachedSummary, storeSummaries, saveSummaryCache } = require("../lib/summary-cache");
+
+const pr = (number, headRefOid, aiSummary) => ({ number, headRefOid, aiSummary, repository: { nameWithOwner: "o/r" } });
+
+const owner = { provider: "gemini", model: "m" };
+
+test("hits only for the same head commit and keeps one entry per PR", () => {
+    const cache = { version: 1, summaries: {} };
+    storeSummaries(cache, [pr(1, "aaa", "First take."), pr(2, "bbb", undefined), pr(3, null, "No head.")], owner);
+    assert.deepStrictEqual(cache.summaries, { "o/r#1@aaa": { summary: "First take.", provider: "gemini", model: "m" } });
+
+    const unchanged = pr(1, "aaa");
+    assert.strictEqual(applyCachedSummary(cache, unchanged, owner), true);
+    assert.strictEqual(unchanged.aiSummary, "First take.");
+    assert.strictEqual(applyCachedSummary(cache, pr(1, "ccc"), owner), false);
+
+    storeSummaries(cache, [pr(1, "ccc", "After a push.")], owner);
+    assert.deepStrictEqual(Object.keys(cache.summaries), ["o/r#1@ccc"]);
+});
+
+test("summaries of another provider or model are misses", () => {
+    const cache = { version: 1, summaries: {} };
+    storeSummaries(cache, [pr(1, "aaa", "Canned summary.")], { provider: "stub", model: "stub" });
+
+    assert.strictEqual(applyCachedSummary(cache, pr(1, "aaa"), owner), false);
+    assert.strictEqual(applyCachedSummary(cache, pr(1, "aaa"), { provider: "gemini", model: "other" }), false);
+    assert.strictEqual(applyCachedSummary(cache, pr(1, "aaa"), { provider: "stub", model: "stub" }), true);
+});
+
+test("marked summaries keep their unverified references", () => {
+    const cache = { version: 1, summaries: {} };
+    storeSummaries(cache, [{ ...pr(1, "aaa", "Adds `registerHotkeys()`."), ungroundedReferences: ["registerHotkeys"] }], owner);
+
+    const reused = pr(1, "aaa");
+    assert.strictEqual(applyCachedSummary(cache, reused, owner), true);
+    assert.deepStrictEqual(reused.ungroundedReferences, ["registerHotkeys"]);
+});
+
+test("saves the newest entries and loads them back", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "summary-cache-"));
+    const file = path.join(dir, "nested", "cache.json");
+    try {
+        assert.deepStrictEqual(loadSummaryCache(file), { version: 1, summaries: {} });
+
+        const cache = { version: 1, summaries: {} };
+        storeSummaries(cache, [1, 2, 3].map(n => pr(n, `sha${n}`, `Summary ${n}.`)), owner);
+        assert.strictEqual(saveSummaryCache(file, cache, { maxEntries: 2 }), 2);
+        assert.deepStrictEqual(Object.keys(loadSummaryCache(file).summaries), ["o/r#2@sha2", "o/r#3@sha3"]);
+
+        fs.writeFileSync(file, "[]");
+        assert.throws(() => loadSummaryCache(file), /is not a summary cache file/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});